@@ -42,6 +42,127 @@ module.exports = function(RED) {
     );
   }
 
+  // Helper function to check if an error means the server could not be reached: SQLSTATE
+  // class 08 (connection exception), a login timeout or a connection that was closed
+  function isConnectivityError(error) {
+    const sqlState = String(describeOdbcError(error).sqlState || '');
+    return sqlState.startsWith('08') || sqlState === 'HYT00' || sqlState === 'HYT01' || isConnectionClosedError(error);
+  }
+
+  // Helper function to extract SQLSTATE, native error code and driver message from an odbc error.
+  // Only driver errors have a SQLSTATE; this package's own error codes are never reported as one.
+  function describeOdbcError(error) {
+    const odbcErrors = error && Array.isArray(error.odbcErrors) ? error.odbcErrors : [];
+    const first = odbcErrors[0];
+    return {
+      message: first ? first.message : (error && error.message) || 'Error',
+      sqlState: (first ? first.state : error && error.sqlState) || null,
+      nativeError: first ? first.code : null,
+      odbcErrors: odbcErrors.map(entry => ({ sqlState: entry.state, nativeError: entry.code, message: entry.message }))
+    };
+  }
+
+  // Helper function to brace a connection string value that contains separators
+  function quoteConnectionValue(value) {
+    const text = String(value);
+    return /[;{}]|^\s|\s$/.test(text) ? `{${text.replace(/\}/g, '}}')}}` : text;
+  }
+
+  // Helper function to expand ${ENV_VAR} references in a connection string and merge in
+  // the user and password credentials, which replace any UID/PWD already in the string.
+  // With a node, flow and group environment variables are resolved as well.
+  function buildConnectionString(connectionString, credentials, node) {
+    const missing = [];
+    let result = String(connectionString || '').replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => {
+      let value;
+      try {
+        value = node ? RED.util.evaluateNodeProperty(name, 'env', node) : process.env[name];
+      } catch (error) {
+        value = process.env[name];
+      }
+      // Node-RED resolves unset variables to an empty string
+      if (value === undefined || value === null || value === '') {
+        missing.push(name);
+        return match;
+      }
+      return String(value);
+    });
+
+    if (missing.length > 0) {
+      const error = new Error(`Missing environment variable(s) in connection string: ${missing.join(', ')}`);
+      error.code = 'ODBC_MISSING_ENV';
+      throw error;
+    }
+
+    const user = credentials && credentials.user;
+    const password = credentials && credentials.password;
+    if (user || password) {
+      result = result
+        .replace(/(^|;)\s*(UID|PWD)\s*=\s*(\{(?:[^}]|\}\})*\}|[^;]*)/gi, '$1')
+        .replace(/;{2,}/g, ';')
+        .replace(/^;/, '');
+      if (result !== '' && !result.endsWith(';')) {
+        result += ';';
+      }
+      if (user) {
+        result += `UID=${quoteConnectionValue(user)};`;
+      }
+      if (password) {
+        result += `PWD=${quoteConnectionValue(password)};`;
+      }
+    }
+
+    return result;
+  }
+
+  // Helper function to hide parameter values while keeping their positions or names
+  function redactParameters(parameters) {
+    if (Array.isArray(parameters)) {
+      return parameters.map(() => '[redacted]');
+    }
+    if (parameters && typeof parameters === 'object') {
+      return Object.keys(parameters).reduce((redacted, key) => {
+        redacted[key] = '[redacted]';
+        return redacted;
+      }, {});
+    }
+    return parameters === undefined ? null : '[redacted]';
+  }
+
+  // Helper function to report a failed statement. Nodes with an error output send the
+  // message there with a structured msg.error; the others raise a regular node error.
+  function reportStatementError(node, error, message, send, done, details) {
+    if (!node.errorOutput) {
+      handleNodeError(node, error, message, done);
+      return;
+    }
+
+    const described = describeOdbcError(error);
+    const attempts = (error && error.attempts) || 1;
+    const parameters = details && details.parameters !== undefined ? details.parameters : null;
+    message.error = {
+      message: described.message,
+      code: (error && typeof error.code === 'string') ? error.code : null,
+      sqlState: described.sqlState,
+      nativeError: described.nativeError,
+      odbcErrors: described.odbcErrors,
+      statement: (details && details.statement) || null,
+      parameters: node.redactParameters ? redactParameters(parameters) : parameters,
+      attempts: attempts,
+      retried: attempts > 1,
+      source: { id: node.id, type: node.type, name: node.name || '' }
+    };
+    // Script nodes also report which statement of the script failed
+    if (details && details.statementIndex !== undefined) {
+      message.error.statementIndex = details.statementIndex;
+    }
+    node.status({fill: "red", shape: "ring", text: described.message});
+    send([null, message]);
+    if (done) {
+      done();
+    }
+  }
+
   // Helper function to parse payload (supports string JSON or object)
   function parsePayload(payload) {
     if (!payload) {
@@ -63,463 +184,3377 @@ module.exports = function(RED) {
     return null;
   }
 
-  // Helper function to wrap connection methods to track pool activity
-  function wrapConnectionMethods(connection, poolNode) {
-    const updatePoolLastUsed = () => {
-      poolNode.poolLastUsed = Date.now();
-    };
+  // Helper function to evaluate a TypedInput property (msg, flow, global, env, jsonata, json, ...)
+  function evaluateProperty(node, value, type, message) {
+    return new Promise((resolve, reject) => {
+      RED.util.evaluateNodeProperty(value, type, node, message, (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+  }
 
-    if (connection.query) {
-      const originalQuery = connection.query.bind(connection);
-      connection.query = function(...args) {
-        updatePoolLastUsed();
-        return originalQuery(...args);
-      };
+  // Helper function to translate named parameter markers (:name, @name, $name) into
+  // positional ? markers. String literals, quoted identifiers, dollar-quoted bodies and
+  // comments are copied untouched, and doubled markers such as ::type casts or @@globals
+  // are left alone. Literals are lexed like the statement guard does; when the standard
+  // reading leaves a literal open but the MySQL one (backslash escapes) closes them all,
+  // the MySQL reading is used.
+  function bindNamedParameters(sql, lookup) {
+    let scan = scanNamedParameters(sql, false);
+    if (scan.unterminated) {
+      const mysqlScan = scanNamedParameters(sql, true);
+      if (!mysqlScan.unterminated) {
+        scan = mysqlScan;
+      }
     }
+    const names = scan.names;
+    const output = scan.output;
 
-    if (connection.callProcedure) {
-      const originalCallProcedure = connection.callProcedure.bind(connection);
-      connection.callProcedure = function(...args) {
-        updatePoolLastUsed();
-        return originalCallProcedure(...args);
-      };
+    if (names.length === 0) {
+      return null;
     }
 
-    // Wrap close to decrement active connection count safely
-    if (connection.close) {
-      const originalClose = connection.close.bind(connection);
-      let hasClosed = false;
-      connection.close = async function(...args) {
-        if (hasClosed) {
-          return originalClose(...args);
-        }
-        hasClosed = true;
-        try {
-          return await originalClose(...args);
-        } finally {
-          if (typeof poolNode.poolActiveConnections === 'number') {
-            poolNode.poolActiveConnections = Math.max(0, poolNode.poolActiveConnections - 1);
-          }
-        }
-      };
+    const parameters = names.map(name => lookup(name));
+    const missing = names.filter((name, index) => parameters[index] === undefined);
+    if (missing.length > 0) {
+      const error = new Error(`Missing value for named parameter(s): ${Array.from(new Set(missing)).join(', ')}`);
+      error.code = 'ODBC_MISSING_PARAMETER';
+      throw error;
     }
 
-    return connection;
+    return { sql: output, parameters: parameters };
   }
 
-  function odbcPool(config) {
-    RED.nodes.createNode(this, config);
+  // Helper function to replace the named markers of a statement read with standard SQL or
+  // (with mysql set) MySQL rules, reporting whether a literal or comment was left open
+  function scanNamedParameters(sql, mysql) {
+    const names = [];
+    let output = '';
+    let unterminated = false;
+    let i = 0;
 
-    // Build poolConfig object
-    this.poolConfig = { connectionString: config.connectionString };
-    
-    // Handle numeric pool settings
-    const numericSettings = ['initialSize', 'incrementSize', 'maxSize', 'connectionTimeout', 'loginTimeout'];
-    numericSettings.forEach(setting => {
-      const value = config[setting];
-      if (value !== undefined && value !== null && value !== '') {
-        const numValue = Number(value);
-        if (!isNaN(numValue)) {
-          this.poolConfig[setting] = numValue;
-        }
+    while (i < sql.length) {
+      const char = sql[i];
+      const next = sql[i + 1] || '';
+
+      const token = sqlTokenEnd(sql, i, mysql);
+      if (token) {
+        unterminated = unterminated || token.unterminated;
+        output += sql.slice(i, token.end);
+        i = token.end;
+        continue;
       }
-    });
-    
-    // Handle boolean setting
-    if (config.shrinkPool !== undefined && config.shrinkPool !== null) {
-      this.poolConfig.shrinkPool = config.shrinkPool;
+
+      const previous = i > 0 ? sql[i - 1] : '';
+      if ((char === ':' || char === '@' || char === '$') && /[A-Za-z_]/.test(next) && !/[A-Za-z0-9_:@$]/.test(previous)) {
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(sql.slice(i + 1))[0];
+        names.push(name);
+        output += '?';
+        i += name.length + 1;
+        continue;
+      }
+
+      output += char;
+      i += 1;
     }
 
-    // Store CloseConnectionIdleTime for idle timeout (convert to milliseconds)
-    this.closeConnectionIdleTime = undefined;
-    if (config.closeConnectionIdleTime !== undefined && 
-        config.closeConnectionIdleTime !== null && 
-        config.closeConnectionIdleTime !== '') {
-      const numValue = Number(config.closeConnectionIdleTime);
-      if (!isNaN(numValue) && numValue > 0) {
-        this.closeConnectionIdleTime = numValue * 1000;
+    return { names: names, output: output, unterminated: unterminated };
+  }
+
+  // Helper function to validate a (possibly schema-qualified) table or column name so
+  // it can be placed in generated SQL. Quoted, bracketed and backticked parts are allowed.
+  function checkIdentifier(identifier) {
+    const part = /^([A-Za-z_][A-Za-z0-9_$#]*|"[^"]+"|\[[^\]]+\]|`[^`]+`)$/;
+    const parts = typeof identifier === 'string' ? identifier.trim().split('.') : [];
+    if (parts.length === 0 || !parts.every(name => part.test(name))) {
+      const error = new Error(`Invalid identifier: ${identifier}`);
+      error.code = 'ODBC_INVALID_IDENTIFIER';
+      throw error;
+    }
+    return parts.join('.');
+  }
+
+  // Savepoint syntaxes, tried in order: standard SQL, then SQL Server's SAVE TRANSACTION
+  const SAVEPOINT_SYNTAXES = [
+    { set: 'SAVEPOINT odbc_pooling_chunk', rollback: 'ROLLBACK TO SAVEPOINT odbc_pooling_chunk' },
+    { set: 'SAVE TRANSACTION odbc_pooling_chunk', rollback: 'ROLLBACK TRANSACTION odbc_pooling_chunk' }
+  ];
+
+  // Helper function to set a savepoint inside the connection's open transaction. The syntax
+  // the database accepted is remembered on the connection; when it accepts none the
+  // caller cannot undo a single statement, so this fails with ODBC_SAVEPOINT_UNSUPPORTED.
+  async function setSavepoint(connection) {
+    if (connection.odbcPoolingSavepoint) {
+      await connection.query(connection.odbcPoolingSavepoint.set);
+      return connection.odbcPoolingSavepoint;
+    }
+    let lastError = null;
+    for (const syntax of SAVEPOINT_SYNTAXES) {
+      try {
+        await connection.query(syntax.set);
+        connection.odbcPoolingSavepoint = syntax;
+        return syntax;
+      } catch (error) {
+        lastError = error;
       }
     }
-    
-    // Initialize pool state
-    this.pool = null;
-    this.connecting = false;
-    this.poolLastUsed = null;
-    this.cleanupInterval = null;
-    this.poolClosedDueToIdle = false;
-    this.poolActiveConnections = 0;
+    const error = new Error(`Savepoints are not supported: ${lastError ? lastError.message : 'unknown error'}`);
+    error.code = 'ODBC_SAVEPOINT_UNSUPPORTED';
+    throw error;
+  }
 
-    // Cleanup function to close pool if idle
-    this.cleanupIdlePool = async () => {
-      if (!this.closeConnectionIdleTime || !this.pool || !this.poolLastUsed) {
-        return;
+  // Helper function to check whether a statement can safely run twice: it must start
+  // with a read-only keyword and not mention a data-changing one anywhere
+  function isIdempotentStatement(sql) {
+    if (typeof sql !== 'string') {
+      return false;
+    }
+    const text = sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, ' ').replace(/^[\s(]+/, '');
+    const keyword = (text.match(/^[A-Za-z]+/) || [''])[0].toUpperCase();
+    return ['SELECT', 'WITH', 'VALUES', 'SHOW', 'DESCRIBE', 'EXPLAIN'].includes(keyword) &&
+      !/\b(INSERT|UPDATE|DELETE|MERGE|UPSERT|REPLACE|CREATE|ALTER|DROP|TRUNCATE|GRANT|REVOKE|CALL|EXEC|EXECUTE)\b/i.test(text);
+  }
+
+  // Helper function to check whether a statement only reads and can run on a read replica.
+  // Locking reads (FOR UPDATE) and SELECT ... INTO need the primary.
+  function isReadStatement(sql) {
+    return isIdempotentStatement(sql) &&
+      !/\bINTO\b|\bFOR\s+UPDATE\b/i.test(sql.replace(/--[^\n]*|\/\*[\s\S]*?\*\//g, ' '));
+  }
+
+  // Keywords that change data or run other code when found anywhere in a guarded statement.
+  // INTO covers SELECT ... INTO, which creates a table on some databases.
+  const WRITE_KEYWORDS = ['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'UPSERT', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE',
+    'GRANT', 'REVOKE', 'CALL', 'EXEC', 'EXECUTE', 'INTO'];
+
+  // Helper function to parse a comma separated list of statement types such as "SELECT, WITH"
+  function statementTypes(value) {
+    return String(value || '').split(/[\s,]+/).map(type => type.toUpperCase()).filter(type => type !== '');
+  }
+
+  function rejectedError(reason) {
+    const error = new Error(`Statement rejected: ${reason}`);
+    error.code = 'ODBC_STATEMENT_REJECTED';
+    return error;
+  }
+
+  // Helper function to find the end of the string literal, quoted identifier, dollar-quoted body
+  // or comment starting at position i of an SQL text. Returns null when none starts there, and
+  // { end, unterminated } otherwise. With mysql set the text is read as MySQL and MariaDB read
+  // it: a backslash escapes the next character in a literal, # starts a comment, -- only does
+  // when whitespace follows, and $ is an ordinary character. Otherwise backslashes and # are
+  // ordinary characters and $tag$ ... $tag$ is a literal, as in PostgreSQL.
+  function sqlTokenEnd(sql, i, mysql) {
+    const char = sql[i];
+    const next = sql[i + 1] || '';
+    const unterminated = { end: sql.length, unterminated: true };
+
+    if (char === "'" || char === '"' || char === '`') {
+      const escapes = mysql && char !== '`';
+      let end = i + 1;
+      while (end < sql.length && !(sql[end] === char && sql[end + 1] !== char)) {
+        end += sql[end] === char || (escapes && sql[end] === '\\') ? 2 : 1;
       }
+      return end >= sql.length ? unterminated : { end: end + 1, unterminated: false };
+    }
 
-      const idleTime = Date.now() - this.poolLastUsed;
-      if (idleTime >= this.closeConnectionIdleTime) {
-        try {
-          await this.closePool();
-          this.poolClosedDueToIdle = true;
-          this.poolLastUsed = null;
-        } catch (error) {
-          // Ignore errors when closing idle pool
+    const tag = !mysql && char === '$' && !/[A-Za-z0-9_$]/.test(sql[i - 1] || '') ? /^\$[A-Za-z_]*\$/.exec(sql.slice(i)) : null;
+    if (tag) {
+      const close = sql.indexOf(tag[0], i + tag[0].length);
+      return close === -1 ? unterminated : { end: close + tag[0].length, unterminated: false };
+    }
+
+    if ((char === '-' && next === '-' && (!mysql || i + 2 >= sql.length || /[\s\x00-\x1f]/.test(sql[i + 2]))) ||
+      (mysql && char === '#')) {
+      const lineEnd = sql.indexOf('\n', i);
+      return { end: lineEnd === -1 ? sql.length : lineEnd, unterminated: false };
+    }
+
+    if (char === '/' && next === '*') {
+      const commentEnd = sql.indexOf('*/', i + 2);
+      return commentEnd === -1 ? unterminated : { end: commentEnd + 2, unterminated: false };
+    }
+
+    return null;
+  }
+
+  // Helper function to blank out the literals, quoted identifiers and comments of a statement,
+  // leaving only its code, read with standard SQL or (with mysql set) MySQL rules
+  function statementCode(sql, mysql) {
+    let code = '';
+    let i = 0;
+    while (i < sql.length) {
+      if (sql.startsWith('/*!', i)) {
+        throw rejectedError('executable comments are not allowed');
+      }
+      let token = sqlTokenEnd(sql, i, mysql);
+      if (!token && sql[i] === '[') {
+        let end = i + 1;
+        while (end < sql.length && !(sql[end] === ']' && sql[end + 1] !== ']')) {
+          end += sql[end] === ']' ? 2 : 1;
         }
+        token = end >= sql.length ? { end: sql.length, unterminated: true } : { end: end + 1, unterminated: false };
       }
-    };
+      if (token) {
+        if (token.unterminated) {
+          throw rejectedError(sql[i] === '/' ? 'unterminated comment' : 'unterminated literal or identifier');
+        }
+        code += ' ';
+        i = token.end;
+      } else {
+        code += sql[i];
+        i += 1;
+      }
+    }
+    return code;
+  }
 
-    // Start cleanup interval if closeConnectionIdleTime is set
-    this.startCleanupInterval = () => {
-      if (this.closeConnectionIdleTime && !this.cleanupInterval) {
-        this.cleanupInterval = setInterval(() => {
-          this.cleanupIdlePool().catch(() => {});
-        }, 1000);
+  // Helper function to check a statement against the allowed statement types of a guard.
+  // Literals, quoted identifiers and comments are blanked out first, so keywords and
+  // semicolons hidden in them are ignored, while batches of several statements and
+  // MySQL executable comments (/*! ... */) are rejected outright. The pool cannot tell
+  // which database it talks to, so the statement must pass when read with standard
+  // quoting (including PostgreSQL dollar quotes) and when read with MySQL's rules.
+  function guardStatement(sql, allowed) {
+    checkStatementCode(statementCode(sql, false), allowed);
+    checkStatementCode(statementCode(sql, true), allowed);
+  }
+
+  // Helper function to check the code of a statement, with literals and comments blanked out
+  function checkStatementCode(code, allowed) {
+    const statements = code.split(';').filter(statement => statement.trim() !== '');
+    if (statements.length > 1) {
+      throw rejectedError('multiple statements are not allowed');
+    }
+
+    const text = (statements[0] || '').replace(/^[\s(]+/, '');
+    const keyword = (text.match(/^[A-Za-z]+/) || [''])[0].toUpperCase();
+    if (!allowed.includes(keyword)) {
+      throw rejectedError(`${keyword || 'empty'} statements are not allowed`);
+    }
+    const words = text.toUpperCase().match(/[A-Z0-9_$#@]+/g) || [];
+    const hidden = words.find(word => WRITE_KEYWORDS.includes(word) && !allowed.includes(word) &&
+      !(word === 'INTO' && (allowed.includes('INSERT') || allowed.includes('MERGE'))));
+    if (hidden) {
+      throw rejectedError(`${hidden} is not allowed in ${keyword} statements`);
+    }
+  }
+
+  // Helper function to split an SQL script into statements: "semicolon" splits on ;, "go" on
+  // lines holding only GO (as in SQL Server tools) and "custom" wherever the custom delimiter
+  // appears. String literals, quoted identifiers, dollar-quoted bodies and comments never
+  // split a statement, and statements that are empty or only comments are dropped. With mysql
+  // set, literals and comments are read as MySQL reads them (see sqlTokenEnd).
+  function splitScript(script, delimiter, custom, mysql) {
+    const statements = [];
+    let start = 0;
+    let i = 0;
+
+    const push = end => {
+      const text = script.slice(start, end).trim();
+      const comments = mysql ? /--[^\n]*|#[^\n]*|\/\*[\s\S]*?\*\//g : /--[^\n]*|\/\*[\s\S]*?\*\//g;
+      if (text.replace(comments, '').trim() !== '') {
+        statements.push(text);
       }
     };
 
-    // Create or get pool
-    this.createPool = async () => {
-      if (this.pool !== null) {
-        return;
+    while (i < script.length) {
+      const char = script[i];
+
+      if (delimiter === 'custom' && custom && script.startsWith(custom, i)) {
+        push(i);
+        i += custom.length;
+        start = i;
+        continue;
       }
 
-      this.poolClosedDueToIdle = false;
-      
-      try {
-        this.pool = await odbc.pool(this.poolConfig);
-        this.connecting = false;
-      } catch (error) {
-        this.pool = null;
-        this.connecting = false;
-        throw error;
+      if (delimiter === 'go' && (i === 0 || script[i - 1] === '\n')) {
+        const lineEnd = script.indexOf('\n', i);
+        const end = lineEnd === -1 ? script.length : lineEnd;
+        if (/^\s*GO\s*$/i.test(script.slice(i, end))) {
+          push(i);
+          i = lineEnd === -1 ? script.length : lineEnd + 1;
+          start = i;
+          continue;
+        }
       }
-    };
 
-    // Get connection from pool with error recovery
-    this.getConnection = async () => {
-      try {
-        return await this.pool.connect();
-      } catch (connectError) {
-        // If connection fails, pool might be invalid - reset and retry
-        const errorMessage = connectError.message || '';
-        if (errorMessage.includes('closed') || errorMessage.includes('invalid') || 
-            connectError.code === 'IM001' || connectError.sqlState === '08003') {
-          await this.closePool();
-          await this.createPool();
-          return await this.pool.connect();
+      if (char === '[') {
+        let end = i + 1;
+        while (end < script.length && !(script[end] === ']' && script[end + 1] !== ']')) {
+          end += script[end] === ']' ? 2 : 1;
+        }
+        i = end + 1;
+        continue;
+      }
+
+      const token = sqlTokenEnd(script, i, mysql);
+      if (token) {
+        i = token.end;
+        continue;
+      }
+
+      if (delimiter === 'semicolon' && char === ';') {
+        push(i);
+        start = i + 1;
+      }
+      i += 1;
+    }
+
+    push(script.length);
+    return statements;
+  }
+
+  // Helper function to shape an odbc result array according to the node's result mode
+  function shapeResult(result, mode) {
+    const rows = Array.isArray(result) ? result : [];
+    const firstRow = rows.length > 0 ? rows[0] : null;
+
+    switch (mode) {
+      case 'first':
+        return firstRow;
+      case 'value': {
+        if (!firstRow) {
+          return null;
         }
-        throw connectError;
+        const column = result.columns && result.columns[0] ? result.columns[0].name : Object.keys(firstRow)[0];
+        return column !== undefined ? firstRow[column] : null;
       }
+      case 'count':
+        return result && typeof result.count === 'number' ? result.count : rows.length;
+      case 'envelope':
+        return {
+          rows: Array.from(rows),
+          columns: (result && result.columns) || [],
+          count: result && typeof result.count === 'number' ? result.count : rows.length,
+          statement: (result && result.statement) || null
+        };
+      default:
+        return result;
+    }
+  }
+
+  // Column kinds that result conversion applies to, by ODBC SQL data type code
+  const COLUMN_KINDS = {
+    '2': 'decimal', '3': 'decimal', '-5': 'bigint', '9': 'date', '91': 'date', '11': 'timestamp', '93': 'timestamp',
+    '-2': 'binary', '-3': 'binary', '-4': 'binary'
+  };
+
+  // Helper function to parse a timezone setting into minutes east of UTC, or 'local'
+  function timezoneOffset(timezone) {
+    const value = String(timezone || '').trim().toLowerCase();
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(value);
+    if (value === 'local') {
+      return 'local';
+    }
+    return match ? (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3])) : 0;
+  }
+
+  // Helper function to read a node's result conversion settings; null when every one is "raw"
+  function conversionOptions(config) {
+    const pick = (value, allowed) => allowed.includes(value) ? value : 'raw';
+    const conversion = {
+      decimals: pick(config.decimalAs, ['number', 'string']),
+      bigints: pick(config.bigintAs, ['bigint', 'string']),
+      timestamps: pick(config.timestampAs, ['iso', 'date']),
+      binary: pick(config.binaryAs, ['buffer', 'base64']),
+      columnNames: pick(config.columnCase, ['lower', 'camel']),
+      offset: timezoneOffset(config.timezone)
     };
+    return ['decimals', 'bigints', 'timestamps', 'binary', 'columnNames'].every(key => conversion[key] === 'raw')
+      ? null
+      : conversion;
+  }
 
-    // Main connect method
-    this.connect = async () => {
-      await this.createPool();
-      this.startCleanupInterval();
+  function convertColumnName(name, mode) {
+    if (mode === 'lower') {
+      return name.toLowerCase();
+    }
+    if (mode === 'camel') {
+      const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(word => word !== '');
+      const camel = words.map((word, index) => {
+        const lower = word.toLowerCase();
+        return index === 0 ? lower : lower[0].toUpperCase() + lower.slice(1);
+      }).join('');
+      return camel || name;
+    }
+    return name;
+  }
 
-      const connection = await this.getConnection();
-      // Track active connections on checkout
-      if (typeof this.poolActiveConnections === 'number') {
-        this.poolActiveConnections += 1;
+  // Helper function to turn a driver date or timestamp string into a Date, reading it in the
+  // configured timezone. Values that are not in the ISO "YYYY-MM-DD[ HH:MM:SS[.fff]]" form give null.
+  function parseTimestamp(value, offset) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?)?$/.exec(String(value).trim());
+    if (!match) {
+      return null;
+    }
+    const parts = match.slice(1, 7).map(part => Number(part || 0));
+    const milliseconds = Number((match[7] || '0').slice(0, 3).padEnd(3, '0'));
+    if (offset === 'local') {
+      return new Date(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], milliseconds);
+    }
+    return new Date(Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5], milliseconds) - offset * 60000);
+  }
+
+  function convertValue(value, column, conversion) {
+    if (value === null || value === undefined) {
+      return value;
+    }
+    const kind = column ? column.kind : null;
+
+    if (typeof value === 'bigint' || kind === 'bigint') {
+      if (conversion.bigints === 'string') {
+        return String(value);
       }
-      this.poolLastUsed = Date.now();
+      if (conversion.bigints === 'bigint' && typeof value !== 'bigint' && /^-?\d+$/.test(String(value))) {
+        return BigInt(value);
+      }
+      return value;
+    }
+    if (value instanceof ArrayBuffer || Buffer.isBuffer(value) || kind === 'binary') {
+      if (conversion.binary === 'raw' || typeof value === 'string') {
+        return value;
+      }
+      const buffer = Buffer.isBuffer(value) ? value : Buffer.from(value);
+      return conversion.binary === 'base64' ? buffer.toString('base64') : buffer;
+    }
+    if (kind === 'decimal') {
+      if (conversion.decimals === 'number' && typeof value === 'string') {
+        return Number(value);
+      }
+      if (conversion.decimals === 'string' && typeof value === 'number') {
+        return column.digits > 0 ? value.toFixed(Math.min(column.digits, 100)) : String(value);
+      }
+      return value;
+    }
+    if ((kind === 'timestamp' || kind === 'date') && conversion.timestamps !== 'raw' && typeof value === 'string') {
+      if (kind === 'date' && conversion.timestamps === 'iso') {
+        return value;
+      }
+      const date = parseTimestamp(value, conversion.offset);
+      if (!date) {
+        return value;
+      }
+      return conversion.timestamps === 'date' ? date : date.toISOString();
+    }
+    return value;
+  }
+
+  // Helper function to apply a node's type conversion and column naming settings to an
+  // odbc result array. The count, statement and parameters properties are carried over.
+  function convertResult(result, conversion) {
+    if (!conversion || !Array.isArray(result)) {
+      return result;
+    }
+
+    const columns = {};
+    (Array.isArray(result.columns) ? result.columns : []).forEach(column => {
+      columns[column.name] = { kind: COLUMN_KINDS[String(column.dataType)] || null, digits: column.decimalDigits };
+    });
+    const names = {};
+    const rename = name => {
+      if (names[name] === undefined) {
+        names[name] = convertColumnName(name, conversion.columnNames);
+      }
+      return names[name];
+    };
 
-      return wrapConnectionMethods(connection, this);
+    const converted = result.map(row => {
+      if (row === null || typeof row !== 'object' || Array.isArray(row)) {
+        return row;
+      }
+      const output = {};
+      Object.keys(row).forEach(name => {
+        output[rename(name)] = convertValue(row[name], columns[name], conversion);
+      });
+      return output;
+    });
+    ['count', 'statement', 'parameters', 'return'].forEach(key => {
+      if (result[key] !== undefined) {
+        converted[key] = result[key];
+      }
+    });
+    if (Array.isArray(result.columns)) {
+      converted.columns = result.columns.map(column => Object.assign({}, column, { name: rename(column.name) }));
     }
+    return converted;
+  }
+
+  // Query nodes with a result cache or cache tags, for invalidation by tag
+  const cachingNodes = new Set();
+
+  function createResultCache(ttl, maxEntries, maxBytes) {
+    return { ttl: ttl, maxEntries: maxEntries, maxBytes: maxBytes, entries: new Map(), bytes: 0, hits: 0, misses: 0 };
+  }
+
+  // Helper function to copy a cached result, keeping the odbc result array properties
+  function copyResult(result) {
+    const copy = RED.util.cloneMessage(Array.from(result));
+    ['columns', 'count', 'statement'].forEach(key => {
+      if (result[key] !== undefined) {
+        copy[key] = RED.util.cloneMessage(result[key]);
+      }
+    });
+    return copy;
+  }
+
+  // Helper function to look up a result that has not expired; returns a copy or undefined
+  function readCache(cache, key) {
+    const entry = cache.entries.get(key);
+    if (entry && entry.expires > Date.now()) {
+      cache.hits += 1;
+      // Move the entry to the end, so the least recently used entry is evicted first
+      cache.entries.delete(key);
+      cache.entries.set(key, entry);
+      return copyResult(entry.result);
+    }
+    if (entry) {
+      removeCacheEntry(cache, key);
+    }
+    cache.misses += 1;
+    return undefined;
+  }
+
+  function removeCacheEntry(cache, key) {
+    const entry = cache.entries.get(key);
+    if (entry) {
+      cache.entries.delete(key);
+      cache.bytes -= entry.bytes;
+    }
+  }
+
+  // Helper function to store a copy of a result, evicting the least recently used entries
+  // beyond the entry and memory limits. The size is estimated from the rows as JSON.
+  function writeCache(cache, key, result) {
+    let bytes;
+    try {
+      bytes = JSON.stringify(Array.from(result), (name, value) => typeof value === 'bigint' ? String(value) : value).length;
+    } catch (error) {
+      return;
+    }
+    if (cache.maxBytes && bytes > cache.maxBytes) {
+      return;
+    }
+
+    removeCacheEntry(cache, key);
+    cache.entries.set(key, { result: copyResult(result), bytes: bytes, expires: Date.now() + cache.ttl });
+    cache.bytes += bytes;
+    while (cache.entries.size > cache.maxEntries || (cache.maxBytes && cache.bytes > cache.maxBytes)) {
+      removeCacheEntry(cache, cache.entries.keys().next().value);
+    }
+  }
+
+  function clearCache(cache) {
+    cache.entries.clear();
+    cache.bytes = 0;
+  }
+
+  // Helper function to clear the caches of every query node tagged with one of the tags
+  function invalidateCacheTags(tags) {
+    cachingNodes.forEach(node => {
+      if (node.resultCache && node.cacheTags.some(tag => tags.includes(tag))) {
+        clearCache(node.resultCache);
+      }
+    });
+  }
+
+  // Helper function to parse comma separated cache tags
+  function cacheTagList(value) {
+    const tags = Array.isArray(value) ? value : String(value || '').split(',');
+    return tags.map(tag => String(tag).trim()).filter(tag => tag !== '');
+  }
+
+  // Helper function to roll back the transaction a message belongs to, for messages that
+  // fail before a connection is leased for them
+  async function failMessageTransaction(poolNode, message) {
+    let transaction = null;
+    try {
+      transaction = poolNode.getMessageTransaction(message);
+    } catch (error) {
+      return;
+    }
+    if (transaction) {
+      await poolNode.endTransaction(transaction.id, 'rollback').catch(() => {});
+    }
+  }
+
+  // Helper function to look up a procedure's parameters in the catalog, as
+  // [{ name, mode, type }] in call order. INFORMATION_SCHEMA.PARAMETERS is tried first,
+  // then DB2's SYSIBM.SQLPROCEDURECOLS, which mirrors the ODBC procedure-columns catalog.
+  async function procedureParameters(connection, catalog, schema, procedure) {
+    const lookups = [
+      {
+        sql: 'SELECT PARAMETER_NAME, PARAMETER_MODE, DATA_TYPE, IS_RESULT, ORDINAL_POSITION FROM INFORMATION_SCHEMA.PARAMETERS WHERE SPECIFIC_NAME = ?' +
+          (schema ? ' AND SPECIFIC_SCHEMA = ?' : '') + (catalog ? ' AND SPECIFIC_CATALOG = ?' : '') + ' ORDER BY ORDINAL_POSITION',
+        row: row => ({
+          name: row.PARAMETER_NAME,
+          mode: String(row.IS_RESULT).toUpperCase() === 'YES' ? 'RETURN' : String(row.PARAMETER_MODE || 'IN').toUpperCase(),
+          type: row.DATA_TYPE
+        })
+      },
+      {
+        sql: 'SELECT COLUMN_NAME, COLUMN_TYPE, TYPE_NAME, ORDINAL_POSITION FROM SYSIBM.SQLPROCEDURECOLS WHERE PROCEDURE_NAME = ?' +
+          (schema ? ' AND PROCEDURE_SCHEM = ?' : '') + (catalog ? ' AND PROCEDURE_CAT = ?' : '') + ' AND COLUMN_TYPE <> 3 ORDER BY ORDINAL_POSITION',
+        row: row => ({
+          name: row.COLUMN_NAME,
+          mode: { 1: 'IN', 2: 'INOUT', 4: 'OUT', 5: 'RETURN' }[Number(row.COLUMN_TYPE)] || 'IN',
+          type: row.TYPE_NAME
+        })
+      }
+    ];
+    const values = [procedure].concat(schema ? [schema] : [], catalog ? [catalog] : []);
+
+    let lastError = null;
+    for (const lookup of lookups) {
+      try {
+        const rows = await connection.query(lookup.sql, values);
+        if (rows.length > 0) {
+          return rows.map(lookup.row).map(parameter => ({
+            name: parameter.name ? String(parameter.name).replace(/^[@:]/, '') : '',
+            mode: parameter.mode,
+            type: parameter.type ? String(parameter.type).toUpperCase() : null
+          }));
+        }
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    const error = new Error(`Unable to find the parameters of procedure ${[catalog, schema, procedure].filter(Boolean).join('.')}` +
+      (lastError ? `: ${describeOdbcError(lastError).message}` : ''));
+    error.code = 'ODBC_UNKNOWN_PROCEDURE';
+    throw error;
+  }
+
+  // Helper function to check a value against a catalog data type name
+  function checkParameterType(parameter, value) {
+    if (value === null || value === undefined || !parameter.type) {
+      return value === undefined ? null : value;
+    }
+    const type = parameter.type;
+    if (/INT|DEC|NUMERIC|NUMBER|FLOAT|REAL|DOUBLE|MONEY/.test(type)) {
+      if (typeof value === 'number' || typeof value === 'bigint' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))) {
+        return value;
+      }
+    } else if (/CHAR|TEXT|CLOB|GRAPHIC|XML/.test(type)) {
+      if (typeof value === 'string') {
+        return value;
+      }
+    } else if (/DATE|TIME/.test(type)) {
+      if (value instanceof Date) {
+        return value.toISOString();
+      }
+      if (typeof value === 'string') {
+        return value;
+      }
+    } else {
+      return value;
+    }
+    const error = new Error(`Parameter ${parameter.name} expects ${type}, got ${typeof value}`);
+    error.code = 'ODBC_INVALID_PARAMETER';
+    throw error;
+  }
+
+  // Helper function to turn a named-object payload into the positional array callProcedure
+  // expects. Names match case-insensitively; OUT and RETURN slots are passed as null.
+  function orderProcedureParameters(metadata, values) {
+    const byName = {};
+    Object.keys(values).forEach(key => {
+      byName[key.replace(/^[@:]/, '').toUpperCase()] = key;
+    });
+
+    const missing = [];
+    const ordered = metadata.map(parameter => {
+      const key = byName[parameter.name.toUpperCase()];
+      delete byName[parameter.name.toUpperCase()];
+      if (parameter.mode === 'OUT' || parameter.mode === 'RETURN') {
+        return null;
+      }
+      if (key === undefined) {
+        if (parameter.mode === 'IN') {
+          missing.push(parameter.name);
+        }
+        return null;
+      }
+      return checkParameterType(parameter, values[key]);
+    });
+
+    const unknown = Object.keys(byName).map(name => byName[name]);
+    if (missing.length > 0 || unknown.length > 0) {
+      const problems = [];
+      if (missing.length > 0) {
+        problems.push(`missing value for parameter(s): ${missing.join(', ')}`);
+      }
+      if (unknown.length > 0) {
+        problems.push(`unknown parameter(s): ${unknown.join(', ')}`);
+      }
+      const error = new Error(problems.join('; ').replace(/^./, first => first.toUpperCase()));
+      error.code = missing.length > 0 ? 'ODBC_MISSING_PARAMETER' : 'ODBC_UNKNOWN_PARAMETER';
+      throw error;
+    }
+    return ordered;
+  }
+
+  // Helper function to build { resultSets, outputParameters, returnValue } from a
+  // callProcedure result. Without metadata, output values are keyed by position.
+  function shapeProcedureResult(result, metadata) {
+    const values = result && Array.isArray(result.parameters) ? result.parameters : [];
+    const outputParameters = {};
+    let returnValue = result && result.return !== undefined ? result.return : null;
+
+    values.forEach((value, index) => {
+      const parameter = metadata ? metadata[index] : null;
+      if (!parameter) {
+        outputParameters[String(index + 1)] = value;
+      } else if (parameter.mode === 'RETURN') {
+        returnValue = value;
+      } else if (parameter.mode === 'OUT' || parameter.mode === 'INOUT') {
+        outputParameters[parameter.name || String(index + 1)] = value;
+      }
+    });
+
+    return {
+      resultSets: [Array.isArray(result) ? Array.from(result) : []],
+      outputParameters: outputParameters,
+      returnValue: returnValue
+    };
+  }
+
+  // Helper function to parse a five-field cron expression (minute, hour, day of month, month,
+  // day of week) into the allowed values of each field. Fields take *, lists, ranges and steps.
+  function parseCron(expression) {
+    const fields = String(expression || '').trim().split(/\s+/);
+    const invalid = () => {
+      const error = new Error(`Invalid cron expression: ${expression}`);
+      error.code = 'ODBC_INVALID_SCHEDULE';
+      return error;
+    };
+    if (fields.length !== 5) {
+      throw invalid();
+    }
+
+    const limits = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+    const sets = fields.map((field, index) => {
+      const [min, max] = limits[index];
+      const values = new Set();
+      field.split(',').forEach(part => {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+          throw invalid();
+        }
+        const step = match[4] !== undefined ? Number(match[4]) : 1;
+        const from = match[1] === '*' ? min : Number(match[2]);
+        const to = match[1] === '*' ? max : (match[3] !== undefined ? Number(match[3]) : (match[4] !== undefined ? max : from));
+        if (from < min || to > max || from > to || step < 1) {
+          throw invalid();
+        }
+        for (let value = from; value <= to; value += step) {
+          values.add(index === 4 && value === 7 ? 0 : value); // Sunday is 0 or 7
+        }
+      });
+      return values;
+    });
+
+    // As in cron, a restricted day of month and day of week match when either does
+    return { sets: sets, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+  }
+
+  // Helper function to check whether a (local) time matches a parsed cron expression
+  function cronMatches(cron, date) {
+    const [minutes, hours, days, months, weekdays] = cron.sets;
+    const dayMatch = days.has(date.getDate());
+    const weekdayMatch = weekdays.has(date.getDay());
+    const day = cron.anyDay || cron.anyWeekday ? dayMatch && weekdayMatch : dayMatch || weekdayMatch;
+    return minutes.has(date.getMinutes()) && hours.has(date.getHours()) && months.has(date.getMonth() + 1) && day;
+  }
+
+  // Helper function to compare two high-water marks: numbers and numeric strings (BigInts are
+  // persisted as strings, DECIMAL columns read as strings) numerically, anything else as strings.
+  // Integers compare as BigInts so large ids keep their precision.
+  function compareWatermarks(a, b) {
+    const numeric = value => {
+      if (typeof value === 'number' || typeof value === 'bigint') {
+        return value;
+      }
+      if (typeof value === 'string' && /^-?\d+$/.test(value)) {
+        return BigInt(value);
+      }
+      if (typeof value === 'string' && /^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value)) {
+        return Number(value);
+      }
+      return null;
+    };
+    const m = numeric(a);
+    const n = numeric(b);
+    if (m !== null && n !== null && !Number.isNaN(m) && !Number.isNaN(n)) {
+      return m < n ? -1 : (m > n ? 1 : 0);
+    }
+    const x = a instanceof Date ? a.toISOString() : String(a);
+    const y = b instanceof Date ? b.toISOString() : String(b);
+    return x < y ? -1 : (x > y ? 1 : 0);
+  }
+
+  // Helper function to tag a message with the failover target its statements ran on
+  function setMessageTarget(poolNode, message, connection) {
+    const target = poolNode.describeTarget(connection);
+    if (target) {
+      message.odbcTarget = target;
+    }
+  }
+
+  // Helper function to lease a connection for a message. Messages carrying a
+  // transaction handle reuse the transaction's pinned connection instead, and
+  // reads are leased from the pool's read replicas when it has any.
+  async function leaseConnection(poolNode, message, read) {
+    const transaction = poolNode.getMessageTransaction(message);
+    const connect = read ? poolNode.connectRead : poolNode.connect;
+    const lease = {
+      transaction: transaction,
+      connection: transaction ? transaction.connection : await connect()
+    };
+
+    lease.returned = false;
+
+    // Return the connection to the pool; a transaction keeps its pinned connection
+    lease.release = async () => {
+      if (!lease.transaction && !lease.returned) {
+        lease.returned = true;
+        await lease.connection.close().catch(() => {});
+      }
+    };
+
+    // Give up on the connection after an error, rolling back any open transaction
+    lease.fail = async () => {
+      if (lease.transaction) {
+        await poolNode.endTransaction(lease.transaction.id, 'rollback').catch(() => {});
+      } else if (!lease.returned) {
+        lease.returned = true;
+        await lease.connection.close().catch(() => {});
+      }
+    };
+
+    // Swap in a fresh connection from the pool after the current one was given up
+    lease.renew = async () => {
+      lease.connection = await connect();
+      lease.returned = false;
+    };
+
+    return lease;
+  }
+
+  // Helper function to wrap connection methods to track pool activity
+  function wrapConnectionMethods(connection, poolNode) {
+    const updatePoolLastUsed = () => {
+      poolNode.poolLastUsed = Date.now();
+    };
+
+    // Pooled connections are handed out again after close, so always wrap the
+    // driver's own methods rather than the wrappers from a previous checkout
+    if (!connection.odbcPoolingOriginals) {
+      connection.odbcPoolingOriginals = {
+        query: connection.query,
+        callProcedure: connection.callProcedure,
+        close: connection.close
+      };
+    }
+    const originals = connection.odbcPoolingOriginals;
+
+    if (originals.query) {
+      const originalQuery = originals.query.bind(connection);
+      connection.query = function(...args) {
+        updatePoolLastUsed();
+        return originalQuery(...args);
+      };
+    }
+
+    if (originals.callProcedure) {
+      const originalCallProcedure = originals.callProcedure.bind(connection);
+      connection.callProcedure = function(...args) {
+        updatePoolLastUsed();
+        return originalCallProcedure(...args);
+      };
+    }
+
+    // Wrap close to decrement active connection count safely
+    if (originals.close) {
+      const originalClose = originals.close.bind(connection);
+      let hasClosed = false;
+      const release = () => {
+        hasClosed = true;
+        if (typeof poolNode.poolActiveConnections === 'number') {
+          poolNode.poolActiveConnections = Math.max(0, poolNode.poolActiveConnections - 1);
+        }
+      };
+      connection.close = async function(...args) {
+        // A discarded connection's native handle is closed by the pool node, never returned to the pool
+        if (connection.odbcPoolingDiscarded) {
+          if (!hasClosed) {
+            release();
+          }
+          return;
+        }
+        // A connection whose pool was replaced (by a failover, a failback or a failed replica) is closed instead of returned
+        if (connection.odbcPoolingPool && !poolNode.isOpenPool(connection.odbcPoolingPool) && poolNode.pool) {
+          connection.odbcPoolingDiscarded = true;
+          if (!hasClosed) {
+            release();
+          }
+          if (typeof connection.nativeClose === 'function') {
+            await Promise.resolve().then(() => connection.nativeClose()).catch(() => {});
+          }
+          return;
+        }
+        if (hasClosed) {
+          return originalClose(...args);
+        }
+        try {
+          return await originalClose(...args);
+        } finally {
+          release();
+          connection.odbcPoolingLastUsed = Date.now();
+        }
+      };
+    }
+
+    return connection;
+  }
+
+  // Latency histogram bucket bounds in milliseconds
+  const LATENCY_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+  function createHistogram() {
+    return { count: 0, sum: 0, max: 0, buckets: LATENCY_BUCKETS.map(le => ({ le: le, count: 0 })) };
+  }
+
+  // Record a value in a cumulative histogram
+  function observe(histogram, value) {
+    histogram.count += 1;
+    histogram.sum += value;
+    histogram.max = Math.max(histogram.max, value);
+    histogram.buckets.forEach(bucket => {
+      if (value <= bucket.le) {
+        bucket.count += 1;
+      }
+    });
+  }
+
+  // Helper function to run one statement and record its latency against the calling node
+  async function timedStatement(node, work) {
+    const started = Date.now();
+    try {
+      const result = await work();
+      node.poolNode.recordStatement(node, Date.now() - started, null);
+      return result;
+    } catch (error) {
+      node.poolNode.recordStatement(node, Date.now() - started, error);
+      throw error;
+    }
+  }
+
+  // Extra time given to the driver's own query timeout before the connection is discarded
+  const TIMEOUT_GRACE = 1000;
+
+  // Seconds a validation query may take, and connections tried on checkout before giving up
+  const VALIDATION_TIMEOUT = 5;
+  const MAX_VALIDATION_ATTEMPTS = 3;
+
+  // Helper function to resolve the statement timeout in seconds (msg.timeout overrides the node)
+  function statementTimeout(node, message) {
+    const value = message && message.timeout !== undefined && message.timeout !== null && message.timeout !== ''
+      ? Number(message.timeout)
+      : node.timeout;
+    return !isNaN(value) && value > 0 ? value : 0;
+  }
+
+  function statementError(text, code) {
+    const error = new Error(text);
+    error.code = code;
+    return error;
+  }
+
+  // Helper function to run one statement on a lease with a timeout, cancellable through
+  // node.inFlight. The timeout is handed to the driver as the statement's query timeout
+  // (work receives it as odbc query options). When the driver does not give up in time,
+  // or the node is closed, the connection is discarded to abort the statement.
+  function runStatement(node, lease, timeout, work) {
+    return new Promise((resolve, reject) => {
+      const entry = { settled: false, timer: null };
+
+      const finish = (error, result) => {
+        if (entry.settled) {
+          return;
+        }
+        entry.settled = true;
+        clearTimeout(entry.timer);
+        node.inFlight.delete(entry);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      entry.cancel = (error) => {
+        if (entry.settled) {
+          return;
+        }
+        node.poolNode.discardConnection(lease.connection).catch(() => {});
+        finish(error);
+      };
+
+      node.inFlight.add(entry);
+      if (timeout > 0) {
+        entry.timer = setTimeout(() => {
+          entry.cancel(statementError(`Query timed out after ${timeout} seconds`, 'ODBC_QUERY_TIMEOUT'));
+        }, timeout * 1000 + TIMEOUT_GRACE);
+      }
+
+      timedStatement(node, () => work(timeout > 0 ? { timeout: timeout } : {})).then(
+        result => finish(null, result),
+        error => {
+          // HYT00/HYT01: the driver cancelled the statement itself, the connection stays usable
+          const sqlState = describeOdbcError(error).sqlState;
+          if (timeout > 0 && (sqlState === 'HYT00' || sqlState === 'HYT01')) {
+            error.code = 'ODBC_QUERY_TIMEOUT';
+          }
+          finish(error);
+        }
+      );
+    });
+  }
+
+  // Helper function to cancel a node's in-flight statements when it is closed
+  function cancelStatements(node) {
+    const entries = Array.from(node.inFlight);
+    entries.forEach(entry => {
+      entry.cancel(statementError('Query cancelled because the node was stopped', 'ODBC_QUERY_CANCELLED'));
+    });
+  }
+
+  // Helper function to run a statement under the pool's retry policy. Each retry runs
+  // on a fresh connection after a backoff delay. Nothing is retried inside a transaction
+  // or while the node is closing, and only statements that are safe to repeat (or nodes
+  // that allow it) are retried on errors other than a connection that was already gone.
+  async function runWithRetry(node, lease, message, idempotent, execute) {
+    const poolNode = node.poolNode;
+    const maxAttempts = poolNode.retryPolicy.maxAttempts;
+    let attempt = 1;
+
+    for (;;) {
+      try {
+        return await execute();
+      } catch (error) {
+        // A replica that dropped the connection is skipped until its retry interval has passed
+        const brokenState = describeOdbcError(error).sqlState || '';
+        if (lease.connection.odbcPoolingReplica && (isConnectionClosedError(error) || String(brokenState).startsWith('08'))) {
+          poolNode.replicaFailed(lease.connection.odbcPoolingReplica, error);
+        }
+
+        // A statement that ran out of its timeout is never repeated, as that would double the wait
+        const retryable = !lease.transaction && !node.closing && attempt < maxAttempts && error.code !== 'ODBC_QUERY_TIMEOUT' &&
+          (isConnectionClosedError(error) || (poolNode.isRetryable(error) && (idempotent || node.retryUnsafe)));
+        if (!retryable) {
+          error.attempts = attempt;
+          throw error;
+        }
+
+        // A broken connection must not go back to the pool
+        const sqlState = describeOdbcError(error).sqlState || '';
+        if (isConnectionClosedError(error) || String(sqlState).startsWith('08')) {
+          await poolNode.discardConnection(lease.connection).catch(() => {});
+          lease.returned = true;
+        } else {
+          await lease.release();
+        }
+
+        message.retries = attempt;
+        node.status({fill: 'yellow', shape: 'ring', text: `retry ${attempt}/${maxAttempts - 1} (${sqlState || error.message})`});
+        await new Promise(resolve => setTimeout(resolve, poolNode.retryDelay(attempt)));
+        attempt += 1;
+        await lease.renew();
+      }
+    }
+  }
+
+  // Helper function to render pool metric snapshots in the Prometheus text format
+  function formatPrometheus(snapshots) {
+    const families = {};
+    const escape = value => String(value === undefined || value === null ? '' : value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    const labels = values => '{' + Object.keys(values).map(key => `${key}="${escape(values[key])}"`).join(',') + '}';
+    const add = (name, type, help, labelValues, value) => {
+      families[name] = families[name] || { type: type, help: help, samples: [] };
+      families[name].samples.push(`${name}${labels(labelValues)} ${value}`);
+    };
+    const addHistogram = (name, help, labelValues, histogram) => {
+      families[name] = families[name] || { type: 'histogram', help: help, samples: [] };
+      const samples = families[name].samples;
+      histogram.buckets.forEach(bucket => {
+        samples.push(`${name}_bucket${labels(Object.assign({}, labelValues, { le: bucket.le }))} ${bucket.count}`);
+      });
+      samples.push(`${name}_bucket${labels(Object.assign({}, labelValues, { le: '+Inf' }))} ${histogram.count}`);
+      samples.push(`${name}_sum${labels(labelValues)} ${histogram.sum}`);
+      samples.push(`${name}_count${labels(labelValues)} ${histogram.count}`);
+    };
+
+    snapshots.forEach(snapshot => {
+      const pool = { pool: snapshot.id, pool_name: snapshot.name };
+      add('odbc_pool_up', 'gauge', 'Whether the odbc pool is currently open', pool, snapshot.open ? 1 : 0);
+      add('odbc_pool_connections', 'gauge', 'Pooled connections by state', Object.assign({}, pool, { state: 'checked_out' }), snapshot.connections.checkedOut);
+      add('odbc_pool_connections', 'gauge', 'Pooled connections by state', Object.assign({}, pool, { state: 'idle' }), snapshot.connections.idle);
+      add('odbc_pool_waiters', 'gauge', 'Requests waiting for a connection', pool, snapshot.waiters);
+      addHistogram('odbc_pool_checkout_wait_ms', 'Time spent waiting for a connection in milliseconds', pool, snapshot.checkoutWait);
+      add('odbc_pool_statements_total', 'counter', 'Statements run through the pool', pool, snapshot.statements.count);
+      add('odbc_pool_statement_errors_total', 'counter', 'Statements that failed', pool, snapshot.statements.errors);
+      if (snapshot.target) {
+        add('odbc_pool_target', 'gauge', 'Index of the connection string in use (0 is the primary)',
+          Object.assign({}, pool, { target: snapshot.target.name }), snapshot.target.index);
+      }
+      (snapshot.replicas || []).forEach(replica => {
+        add('odbc_pool_replica_up', 'gauge', 'Whether a read replica is in rotation',
+          Object.assign({}, pool, { replica: replica.name }), replica.healthy ? 1 : 0);
+      });
+      Object.keys(snapshot.events).forEach(event => {
+        add('odbc_pool_events_total', 'counter', 'Pool lifecycle events', Object.assign({}, pool, { event: event }), snapshot.events[event]);
+      });
+      if (snapshot.statementCache) {
+        ['hits', 'misses', 'evictions'].forEach(result => {
+          add('odbc_pool_statement_cache_total', 'counter', 'Prepared statement cache lookups and evictions',
+            Object.assign({}, pool, { result: result }), snapshot.statementCache[result]);
+        });
+      }
+      Object.keys(snapshot.nodes).forEach(id => {
+        const node = snapshot.nodes[id];
+        addHistogram('odbc_node_statement_duration_ms', 'Statement latency per node in milliseconds',
+          Object.assign({}, pool, { node: id, node_name: node.name, node_type: node.type }), node.latency);
+        add('odbc_node_statement_errors_total', 'counter', 'Failed statements per node',
+          Object.assign({}, pool, { node: id, node_name: node.name, node_type: node.type }), node.errors);
+      });
+    });
+
+    return Object.keys(families).map(name => {
+      const family = families[name];
+      return [`# HELP ${name} ${family.help}`, `# TYPE ${name} ${family.type}`].concat(family.samples).join('\n');
+    }).join('\n') + '\n';
+  }
+
+  // Deployed pool nodes, for the metrics endpoints and the stats node
+  const poolNodes = new Set();
+
+  // Deployed audit nodes, each listening to one pool or (without a connection) to every pool
+  const auditNodes = new Set();
+
+  function odbcPool(config) {
+    RED.nodes.createNode(this, config);
+
+    // Build poolConfig object
+    this.poolConfig = { connectionString: config.connectionString };
+    
+    // Handle numeric pool settings
+    const numericSettings = ['initialSize', 'incrementSize', 'maxSize', 'connectionTimeout', 'loginTimeout'];
+    numericSettings.forEach(setting => {
+      const value = config[setting];
+      if (value !== undefined && value !== null && value !== '') {
+        const numValue = Number(value);
+        if (!isNaN(numValue)) {
+          this.poolConfig[setting] = numValue;
+        }
+      }
+    });
+    
+    // Handle boolean setting
+    if (config.shrinkPool !== undefined && config.shrinkPool !== null) {
+      this.poolConfig.shrinkPool = config.shrinkPool;
+    }
+
+    // Store CloseConnectionIdleTime for idle timeout (convert to milliseconds)
+    this.closeConnectionIdleTime = undefined;
+    if (config.closeConnectionIdleTime !== undefined && 
+        config.closeConnectionIdleTime !== null && 
+        config.closeConnectionIdleTime !== '') {
+      const numValue = Number(config.closeConnectionIdleTime);
+      if (!isNaN(numValue) && numValue > 0) {
+        this.closeConnectionIdleTime = numValue * 1000;
+      }
+    }
+
+    // Connection validation: "none", "dead" (the driver's SQL_ATTR_CONNECTION_DEAD) or "query"
+    this.validation = ['dead', 'query'].includes(config.validation) ? config.validation : 'none';
+    this.validationQuery = config.validationQuery || 'SELECT 1';
+    this.validateAfter = Number(config.validateAfter) >= 0 && config.validateAfter !== '' && config.validateAfter !== undefined
+      ? Number(config.validateAfter) * 1000
+      : 30000;
+    this.keepaliveInterval = Number(config.keepaliveInterval) > 0 ? Number(config.keepaliveInterval) * 1000 : 0;
+
+    // Retry policy shared by the query and procedure nodes (empty settings use the defaults)
+    const setting = (value, fallback) => {
+      return value !== undefined && value !== null && value !== '' && !isNaN(Number(value)) ? Number(value) : fallback;
+    };
+    this.retryPolicy = {
+      maxAttempts: Math.max(1, Math.floor(setting(config.retryAttempts, 2))),
+      baseDelay: Math.max(0, setting(config.retryDelay, 100)),
+      maxDelay: Math.max(0, setting(config.retryMaxDelay, 5000)),
+      states: String(config.retryStates !== undefined ? config.retryStates : '08, 40001, HYT00')
+        .split(/[\s,]+/).map(state => state.toUpperCase()).filter(state => state !== '')
+    };
+
+    // Bounds on the checkout queue: 0 means unlimited
+    this.maxWaiters = Number(config.maxWaiters) > 0 ? Number(config.maxWaiters) : 0;
+    this.maxWaitTime = Number(config.maxWaitTime) > 0 ? Number(config.maxWaitTime) * 1000 : 0;
+
+    // Prepared statements kept per connection by the query node: 0 disables the cache
+    this.statementCacheSize = Number(config.statementCacheSize) > 0 ? Math.floor(Number(config.statementCacheSize)) : 0;
+
+    // Statement guard for every query node on this pool, and the SQL that makes a new session read-only
+    this.allowedStatements = statementTypes(config.allowedStatements);
+    this.readOnlyStatement = (config.readOnlyStatement || '').trim();
+
+    // Failover targets: the connection string first, then the failover connection strings in order.
+    // While on a secondary, the primary is probed every failbackInterval ms to fail back.
+    this.targets = [config.connectionString].concat(String(config.failoverConnectionStrings || '')
+      .split('\n').map(line => line.trim()).filter(line => line !== ''));
+    this.targetIndex = 0; // Target of the open (or last opened) pool
+    this.preferredTarget = 0; // Target the next pool is opened on first
+    this.failbackInterval = config.failbackInterval !== undefined && config.failbackInterval !== '' && Number(config.failbackInterval) >= 0
+      ? Number(config.failbackInterval) * 1000
+      : 30000;
+    this.failbackTimer = null;
+    this.probing = false;
+
+    // Read replicas, one odbc pool each, used round-robin for reads. A replica that fails is
+    // skipped for replicaRetryInterval ms before it is tried again.
+    this.replicas = String(config.replicaConnectionStrings || '').split('\n')
+      .map(line => line.trim())
+      .filter(line => line !== '')
+      .map((connectionString, index) => ({
+        index: index,
+        name: `replica ${index + 1}`,
+        connectionString: connectionString,
+        pool: null,
+        initializing: null,
+        healthy: true,
+        downUntil: 0,
+        checkouts: 0,
+        lastError: null
+      }));
+    this.nextReplica = 0;
+    this.replicaRetryInterval = config.replicaRetryInterval !== undefined && config.replicaRetryInterval !== '' && Number(config.replicaRetryInterval) >= 0
+      ? Number(config.replicaRetryInterval) * 1000
+      : 30000;
+
+    // Audit trail of executed statements ("off" or the log level) and the slow statement warning in ms
+    this.auditLevel = ['info', 'debug', 'trace'].includes(config.auditLevel) ? config.auditLevel : 'off';
+    this.auditParameters = ['values', 'omit'].includes(config.auditParameters) ? config.auditParameters : 'redacted';
+    this.slowQueryThreshold = Number(config.slowQueryThreshold) > 0 ? Number(config.slowQueryThreshold) : 0;
+    
+    // Initialize pool state
+    this.pool = null;
+    this.connecting = false;
+    this.poolLastUsed = null;
+    this.cleanupInterval = null;
+    this.poolClosedDueToIdle = false;
+    this.poolActiveConnections = 0;
+    this.lastError = null;
+    this.initializing = null; // Shared promise while the pool is being created
+    this.poolCreatedAt = null;
+    this.keepaliveTimer = null;
+    this.keepaliveRunning = false;
+    this.waiting = 0; // Checkouts waiting for a connection
+
+    // Counters and histograms behind the metrics endpoints and the stats node
+    this.metrics = {
+      checkoutWait: createHistogram(),
+      statements: { count: 0, errors: 0 },
+      events: { created: 0, closed: 0, idleClosed: 0, createFailed: 0, discarded: 0, exhausted: 0, validationFailed: 0, failovers: 0, failbacks: 0, replicaFailed: 0, readFallbacks: 0 },
+      statementCache: { hits: 0, misses: 0, evictions: 0 },
+      nodes: {}
+    };
+
+    // Cleanup function to close pool if idle
+    this.cleanupIdlePool = async () => {
+      if (!this.closeConnectionIdleTime || !this.pool || !this.poolLastUsed) {
+        return;
+      }
+
+      // Never close the pool under a connection that is still checked out (e.g. a streaming query)
+      if (this.poolActiveConnections > 0) {
+        return;
+      }
+
+      const idleTime = Date.now() - this.poolLastUsed;
+      if (idleTime >= this.closeConnectionIdleTime) {
+        try {
+          await this.closePool();
+          await this.closeReplicas();
+          this.poolClosedDueToIdle = true;
+          this.poolLastUsed = null;
+          this.metrics.events.idleClosed += 1;
+        } catch (error) {
+          // Ignore errors when closing idle pool
+        }
+      }
+    };
+
+    // Start cleanup interval if closeConnectionIdleTime is set
+    this.startCleanupInterval = () => {
+      if (this.closeConnectionIdleTime && !this.cleanupInterval) {
+        this.cleanupInterval = setInterval(() => {
+          this.cleanupIdlePool().catch(() => {});
+        }, 1000);
+      }
+    };
+
+    // Create or get pool. Concurrent callers share a single initialization.
+    this.createPool = async () => {
+      if (this.pool !== null) {
+        return;
+      }
+
+      if (!this.initializing) {
+        this.poolClosedDueToIdle = false;
+        this.connecting = true;
+        this.initializing = this.openPool().then(pool => {
+          this.pool = pool;
+          this.poolCreatedAt = Date.now();
+          this.connecting = false;
+          this.lastError = null;
+          this.metrics.events.created += 1;
+        }, error => {
+          this.pool = null;
+          this.connecting = false;
+          this.lastError = error;
+          this.metrics.events.createFailed += 1;
+          throw error;
+        }).finally(() => {
+          this.initializing = null;
+        });
+      }
+
+      await this.initializing;
+    };
+
+    // Open a pool on the preferred target, trying the following targets in order when it cannot be reached
+    this.openPool = async () => {
+      let lastError = null;
+      for (let step = 0; step < this.targets.length; step++) {
+        const index = (this.preferredTarget + step) % this.targets.length;
+        try {
+          const connectionString = buildConnectionString(this.targets[index], this.credentials, this);
+          const pool = await odbc.pool(Object.assign({}, this.poolConfig, { connectionString: connectionString }));
+          this.useTarget(index);
+          return pool;
+        } catch (error) {
+          lastError = error;
+          if (this.targets.length === 1 || !isConnectivityError(error)) {
+            throw error;
+          }
+        }
+      }
+      throw lastError;
+    };
+
+    // Name of a target for statuses, messages and metrics
+    this.targetName = (index) => {
+      return index === 0 ? 'primary' : `secondary ${index}`;
+    };
+
+    // The target of a connection (or the current one), or null without failover targets
+    this.describeTarget = (connection) => {
+      const replica = connection && connection.odbcPoolingReplica;
+      if (replica) {
+        return { index: replica.index, name: replica.name, replica: true };
+      }
+      if (this.targets.length === 1) {
+        return null;
+      }
+      const index = connection && typeof connection.odbcPoolingTarget === 'number' ? connection.odbcPoolingTarget : this.targetIndex;
+      return { index: index, name: this.targetName(index) };
+    };
+
+    // Record a switch to another target and probe the primary while on a secondary
+    this.useTarget = (index) => {
+      if (index !== this.targetIndex) {
+        if (index === 0) {
+          this.metrics.events.failbacks += 1;
+          this.log(`Failed back to the primary connection string`);
+        } else {
+          this.metrics.events.failovers += 1;
+          this.warn(`Failed over from the ${this.targetName(this.targetIndex)} to the ${this.targetName(index)} connection string`);
+        }
+      }
+      this.targetIndex = index;
+      this.preferredTarget = index;
+
+      if (index === 0 && this.failbackTimer) {
+        clearInterval(this.failbackTimer);
+        this.failbackTimer = null;
+      } else if (index > 0 && this.failbackInterval > 0 && !this.failbackTimer) {
+        this.failbackTimer = setInterval(() => {
+          this.probePrimary().catch(() => {});
+        }, this.failbackInterval);
+      }
+    };
+
+    // Rebuild the pool on the next target after the current one could not be reached.
+    // Concurrent callers that saw the same pool fail share one failover.
+    this.failover = async (failedPool) => {
+      if (this.pool === failedPool) {
+        this.preferredTarget = (this.targetIndex + 1) % this.targets.length;
+        await this.closePool();
+      }
+      await this.createPool();
+    };
+
+    // Fail back once a one-off connection to the primary succeeds. Connections still checked
+    // out from the secondary stay in use and are closed when they are returned.
+    this.probePrimary = async () => {
+      if (this.targetIndex === 0 || this.probing || this.initializing) {
+        return;
+      }
+      this.probing = true;
+      try {
+        const connectionConfig = { connectionString: buildConnectionString(this.targets[0], this.credentials, this) };
+        if (this.poolConfig.loginTimeout !== undefined) {
+          connectionConfig.loginTimeout = this.poolConfig.loginTimeout;
+        }
+        const connection = await odbc.connect(connectionConfig);
+        await connection.close().catch(() => {});
+
+        this.preferredTarget = 0;
+        if (this.pool) {
+          const active = this.poolActiveConnections;
+          await this.closePool();
+          this.poolActiveConnections = active;
+          await this.createPool();
+        }
+      } finally {
+        this.probing = false;
+      }
+    };
+
+    // Check out a connection for a read from the next healthy replica in turn, falling back
+    // to the primary pool when there are no replicas or none can hand out a connection
+    this.connectRead = async () => {
+      const count = this.replicas.length;
+      if (count === 0) {
+        return this.connect();
+      }
+
+      const start = this.nextReplica;
+      this.nextReplica = (start + 1) % count;
+      for (let step = 0; step < count; step++) {
+        const replica = this.replicas[(start + step) % count];
+        if (!replica.healthy && Date.now() < replica.downUntil) {
+          continue;
+        }
+        try {
+          return await this.checkoutReplica(replica);
+        } catch (error) {
+          this.replicaFailed(replica, error);
+        }
+      }
+
+      this.metrics.events.readFallbacks += 1;
+      return this.connect();
+    };
+
+    // Check out a connection from a replica's pool, opening the pool on first use. It goes
+    // through the same wait queue, validation and read-only session setup as the primary's.
+    this.checkoutReplica = async (replica) => {
+      if (!replica.pool) {
+        if (!replica.initializing) {
+          replica.initializing = Promise.resolve().then(() => {
+            const connectionString = buildConnectionString(replica.connectionString, this.credentials, this);
+            return odbc.pool(Object.assign({}, this.poolConfig, { connectionString: connectionString }));
+          }).then(pool => {
+            replica.pool = pool;
+          }).finally(() => {
+            replica.initializing = null;
+          });
+        }
+        await replica.initializing;
+      }
+
+      this.startKeepalive();
+      const connection = await this.checkoutValid(() => replica.pool, async () => {
+        const pool = replica.pool;
+        if (!pool) {
+          throw new Error(`Read replica ${replica.index + 1} was closed`);
+        }
+        const replicaConnection = await pool.connect();
+        replicaConnection.odbcPoolingPool = pool;
+        replicaConnection.odbcPoolingReplica = replica;
+        return replicaConnection;
+      });
+      if (!replica.healthy) {
+        this.log(`Read replica ${replica.index + 1} is available again`);
+      }
+      replica.healthy = true;
+      replica.checkouts += 1;
+      this.startCleanupInterval();
+      return connection;
+    };
+
+    // Take a replica out of rotation for the retry interval and drop its pool, whose
+    // connections are closed as they come back
+    this.replicaFailed = (replica, error) => {
+      if (replica.healthy) {
+        this.warn(`Read replica ${replica.index + 1} failed, reads go elsewhere: ${describeOdbcError(error).message}`);
+      }
+      replica.healthy = false;
+      replica.downUntil = Date.now() + this.replicaRetryInterval;
+      replica.lastError = error;
+      this.metrics.events.replicaFailed += 1;
+      const pool = replica.pool;
+      replica.pool = null;
+      if (pool && typeof pool.close === 'function') {
+        pool.close().catch(() => {});
+      }
+    };
+
+    this.closeReplicas = async () => {
+      await Promise.all(this.replicas.map(async replica => {
+        if (replica.initializing) {
+          await replica.initializing.catch(() => {});
+        }
+        const pool = replica.pool;
+        replica.pool = null;
+        if (pool && typeof pool.close === 'function') {
+          await pool.close().catch(() => {});
+        }
+      }));
+    };
+
+    // Whether a pool is the primary pool or the pool of a replica
+    this.isOpenPool = (pool) => {
+      return pool === this.pool || this.replicas.some(replica => replica.pool === pool);
+    };
+
+    // An error is retryable when its SQLSTATE starts with one of the configured classes
+    this.isRetryable = (error) => {
+      const sqlState = String(describeOdbcError(error).sqlState || '').toUpperCase();
+      return sqlState !== '' && this.retryPolicy.states.some(state => sqlState.startsWith(state));
+    };
+
+    // Exponential backoff with equal jitter: half the delay is fixed, half random
+    this.retryDelay = (attempt) => {
+      const delay = Math.min(this.retryPolicy.maxDelay, this.retryPolicy.baseDelay * Math.pow(2, attempt - 1));
+      return delay / 2 + Math.random() * delay / 2;
+    };
+
+    this.exhaustedError = (text) => {
+      this.metrics.events.exhausted += 1;
+      const error = new Error(`Pool exhausted: ${text}`);
+      error.code = 'ODBC_POOL_EXHAUSTED';
+      return error;
+    };
+
+    // Check out a connection with take through the bounded wait queue, which is shared by
+    // the primary pool and the replica pools
+    this.checkout = async (pool, take) => {
+      const hasFree = pool && Array.isArray(pool.freeConnections) && pool.freeConnections.length > 0;
+      if (this.maxWaiters > 0 && !hasFree && this.waiting >= this.maxWaiters) {
+        throw this.exhaustedError(`${this.waiting} requests already waiting for a connection`);
+      }
+
+      this.waiting += 1;
+      const checkout = take();
+      let timer = null;
+      try {
+        if (!this.maxWaitTime) {
+          return await checkout;
+        }
+        return await Promise.race([
+          checkout,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              // Hand the connection straight back if the pool delivers it later
+              checkout.then(connection => connection.close()).catch(() => {});
+              reject(this.exhaustedError(`no connection available after ${this.maxWaitTime / 1000} seconds`));
+            }, this.maxWaitTime);
+          })
+        ]);
+      } finally {
+        clearTimeout(timer);
+        this.waiting -= 1;
+      }
+    };
+
+    // Get connection from pool with error recovery
+    this.getConnection = async () => {
+      const pool = this.pool;
+      let connection;
+      try {
+        connection = await pool.connect();
+      } catch (connectError) {
+        // If connection fails, pool might be invalid - reset and retry
+        const errorMessage = connectError.message || '';
+        if (errorMessage.includes('closed') || errorMessage.includes('invalid') || 
+            connectError.code === 'IM001' || connectError.sqlState === '08003') {
+          await this.closePool();
+          await this.createPool();
+        } else if (this.targets.length > 1 && isConnectivityError(connectError)) {
+          // The target can no longer be reached: continue on the next one
+          await this.failover(pool);
+        } else {
+          throw connectError;
+        }
+        connection = await this.pool.connect();
+      }
+      // Remember where the connection came from, so it is not returned to a replaced pool
+      connection.odbcPoolingPool = this.pool;
+      connection.odbcPoolingTarget = this.targetIndex;
+      return connection;
+    };
+
+    // Main connect method
+    this.connect = async () => {
+      await this.createPool();
+      this.startCleanupInterval();
+      this.startKeepalive();
+      return this.checkoutValid(() => this.pool, this.getConnection);
+    };
+
+    // Check out a connection with take from the pool returned by currentPool, then validate it
+    // and make it read-only before handing it out
+    this.checkoutValid = async (currentPool, take) => {
+      const waitStarted = Date.now();
+      for (let attempt = 1; ; attempt++) {
+        const connection = await this.checkout(currentPool(), take);
+        // Track active connections on checkout
+        if (typeof this.poolActiveConnections === 'number') {
+          this.poolActiveConnections += 1;
+        }
+        wrapConnectionMethods(connection, this);
+
+        // Validate connections that sat idle long enough for the server or a firewall to drop them
+        const idle = Date.now() - (connection.odbcPoolingLastUsed || this.poolCreatedAt || Date.now());
+        if (this.validation === 'none' || idle < this.validateAfter || await this.validateConnection(connection)) {
+          await this.makeReadOnly(connection);
+          observe(this.metrics.checkoutWait, Date.now() - waitStarted);
+          this.poolLastUsed = Date.now();
+          return connection;
+        }
+
+        // Replace the dead connection: the next checkout takes another one or has the pool open a new one
+        this.metrics.events.validationFailed += 1;
+        await this.discardConnection(connection);
+        if (attempt >= MAX_VALIDATION_ATTEMPTS) {
+          const error = new Error(`No valid connection after ${attempt} attempts`);
+          error.code = 'ODBC_VALIDATION_FAILED';
+          throw error;
+        }
+      }
+    };
+
+    // Check a connection with the driver's dead-connection attribute or the validation query.
+    // The query runs through the driver's own method so it does not count as pool activity.
+    this.validateConnection = async (connection, useQuery) => {
+      if (this.validation === 'dead' && !useQuery) {
+        return connection.connected !== false;
+      }
+      const query = connection.odbcPoolingOriginals ? connection.odbcPoolingOriginals.query : connection.query;
+      let timer = null;
+      try {
+        await Promise.race([
+          query.call(connection, this.validationQuery, { timeout: VALIDATION_TIMEOUT }),
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error('Validation query timed out')), VALIDATION_TIMEOUT * 1000 + TIMEOUT_GRACE);
+          })
+        ]);
+        return true;
+      } catch (error) {
+        return false;
+      } finally {
+        clearTimeout(timer);
+      }
+    };
+
+    // Run the read-only statement once on each connection, before its first use. A connection
+    // that cannot be made read-only is discarded rather than handed out writable.
+    this.makeReadOnly = async (connection) => {
+      if (!this.readOnlyStatement || connection.odbcPoolingReadOnly) {
+        return;
+      }
+      const query = connection.odbcPoolingOriginals ? connection.odbcPoolingOriginals.query : connection.query;
+      try {
+        await query.call(connection, this.readOnlyStatement);
+        connection.odbcPoolingReadOnly = true;
+      } catch (cause) {
+        await this.discardConnection(connection);
+        const error = new Error(`Unable to make the connection read-only: ${describeOdbcError(cause).message}`);
+        error.code = 'ODBC_READ_ONLY_FAILED';
+        error.odbcErrors = cause.odbcErrors;
+        throw error;
+      }
+    };
+
+    // Ping connections that sat idle in the pool for a keepalive interval, so firewalls
+    // keep their sessions open, and replace those that no longer answer
+    this.keepalive = async () => {
+      if (this.keepaliveRunning) {
+        return;
+      }
+
+      this.keepaliveRunning = true;
+      try {
+        const pools = [this.pool].concat(this.replicas.map(replica => replica.pool))
+          .filter(pool => pool && Array.isArray(pool.freeConnections));
+        for (const pool of pools) {
+          await this.keepalivePool(pool);
+        }
+      } finally {
+        this.keepaliveRunning = false;
+      }
+    };
+
+    // Ping the idle connections of the primary pool or of a replica's pool
+    this.keepalivePool = async (pool) => {
+      const now = Date.now();
+      const idle = pool.freeConnections.filter(connection =>
+        now - (connection.odbcPoolingLastUsed || this.poolCreatedAt || now) >= this.keepaliveInterval);
+
+      for (const connection of idle) {
+        // Take the connection out of the pool unless it was checked out in the meantime
+        const index = pool.freeConnections.indexOf(connection);
+        if (!this.isOpenPool(pool) || index === -1) {
+          continue;
+        }
+        pool.freeConnections.splice(index, 1);
+        this.poolActiveConnections += 1;
+        wrapConnectionMethods(connection, this);
+
+        if (await this.validateConnection(connection, true)) {
+          await connection.close().catch(() => {});
+        } else {
+          this.metrics.events.validationFailed += 1;
+          await this.discardConnection(connection);
+          if (typeof pool.increasePoolSize === 'function') {
+            pool.increasePoolSize(1);
+          }
+        }
+      }
+    };
+
+    this.startKeepalive = () => {
+      if (this.keepaliveInterval && !this.keepaliveTimer) {
+        this.keepaliveTimer = setInterval(() => {
+          this.keepalive().catch(() => {});
+        }, this.keepaliveInterval);
+      }
+    };
+
+    // Close and reset the pool
+    this.closePool = async () => {
+      if (this.pool) {
+        this.metrics.events.closed += 1;
+        try {
+          if (typeof this.pool.close === 'function') {
+            await this.pool.close().catch(() => {});
+          } else if (typeof this.pool.disconnect === 'function') {
+            await this.pool.disconnect().catch(() => {});
+          }
+        } catch (error) {
+          // Ignore errors
+        }
+      }
+      
+      this.pool = null;
+      this.connecting = false;
+      this.poolActiveConnections = 0;
+    };
+
+    // Take a checked-out connection out of the pool and close its native handle,
+    // which aborts any statement still running on it
+    this.discardConnection = async (connection) => {
+      if (connection.odbcPoolingDiscarded) {
+        return;
+      }
+      connection.odbcPoolingDiscarded = true;
+      this.metrics.events.discarded += 1;
+      // Cached statements go with the native handle; closing them could block behind a hung statement
+      delete connection.odbcPoolingStatements;
+      const pool = connection.odbcPoolingReplica ? connection.odbcPoolingReplica.pool : this.pool;
+      if (pool && typeof pool.poolSize === 'number') {
+        pool.poolSize = Math.max(0, pool.poolSize - 1);
+      }
+      await connection.close().catch(() => {});
+      if (typeof connection.nativeClose === 'function') {
+        await Promise.resolve().then(() => connection.nativeClose()).catch(() => {});
+      }
+    };
+
+    // Run a statement through the connection's LRU cache of prepared statements, keyed by SQL
+    // text. A statement that fails is dropped from the cache, as its state is unknown.
+    this.preparedQuery = async (connection, sql, parameters, options) => {
+      const cache = connection.odbcPoolingStatements = connection.odbcPoolingStatements || new Map();
+      const stats = this.metrics.statementCache;
+      this.poolLastUsed = Date.now();
+
+      let statement = cache.get(sql);
+      if (statement) {
+        stats.hits += 1;
+        cache.delete(sql);
+      } else {
+        stats.misses += 1;
+        statement = await connection.createStatement();
+        try {
+          await statement.prepare(sql);
+        } catch (error) {
+          await statement.close().catch(() => {});
+          throw error;
+        }
+      }
+
+      let result;
+      try {
+        if (Array.isArray(parameters) && parameters.length > 0) {
+          await statement.bind(parameters);
+        }
+        result = await statement.execute(options);
+        if (connection.odbcPoolingStatements === cache) {
+          cache.set(sql, statement);
+        }
+      } catch (error) {
+        await statement.close().catch(() => {});
+        throw error;
+      }
+
+      // Evict the least recently used statements beyond the cache size
+      while (cache.size > this.statementCacheSize) {
+        const [oldest, evicted] = cache.entries().next().value;
+        cache.delete(oldest);
+        stats.evictions += 1;
+        await evicted.close().catch(() => {});
+      }
+      return result;
+    };
+
+    // Record one statement run by a query, procedure or other node using this pool
+    this.recordStatement = (node, duration, error) => {
+      const stats = this.metrics.nodes[node.id] = this.metrics.nodes[node.id] ||
+        { name: node.name || '', type: node.type, count: 0, errors: 0, latency: createHistogram() };
+      stats.count += 1;
+      this.metrics.statements.count += 1;
+      if (error) {
+        stats.errors += 1;
+        this.metrics.statements.errors += 1;
+      }
+      observe(stats.latency, duration);
+    };
+
+    // Record a statement a node ran for a message in the audit trail and warn when it was
+    // slow. entry holds { statement, parameters, started, result, rows, error }; rows
+    // overrides the row count of result for streamed queries. Returns whether it was slow.
+    this.audit = (node, message, entry) => {
+      const duration = Date.now() - entry.started;
+      const slow = this.slowQueryThreshold > 0 && duration >= this.slowQueryThreshold;
+      if (slow) {
+        node.warn(`Slow statement took ${duration} ms (threshold ${this.slowQueryThreshold} ms): ${entry.statement}`);
+      }
+
+      const listeners = Array.from(auditNodes).filter(auditNode => !auditNode.poolNode || auditNode.poolNode === this);
+      if (this.auditLevel === 'off' && listeners.length === 0) {
+        return slow;
+      }
+
+      let parameters = entry.parameters === undefined ? null : entry.parameters;
+      if (this.auditParameters === 'omit') {
+        parameters = null;
+      } else if (parameters !== null && (this.auditParameters === 'redacted' || node.redactParameters)) {
+        parameters = redactParameters(parameters);
+      }
+      const result = entry.result;
+      const described = entry.error ? describeOdbcError(entry.error) : null;
+      const record = {
+        timestamp: Date.now(),
+        pool: { id: this.id, name: this.name || '' },
+        source: { id: node.id, type: node.type, name: node.name || '' },
+        msgId: (message && message._msgid) || null,
+        statement: entry.statement,
+        parameters: parameters,
+        duration: duration,
+        rows: entry.rows !== undefined ? entry.rows : (Array.isArray(result) ? result.length : 0),
+        affected: result && typeof result.count === 'number' ? result.count : null,
+        error: described ? described.message : null,
+        sqlState: described ? described.sqlState : null,
+        slow: slow
+      };
+
+      if (this.auditLevel !== 'off') {
+        const text = JSON.stringify(record, (key, value) => typeof value === 'bigint' ? String(value) : value);
+        this[this.auditLevel === 'info' ? 'log' : this.auditLevel](`audit ${text}`);
+      }
+      listeners.forEach(auditNode => auditNode.emitRecord(record));
+      return slow;
+    };
+
+    // Point-in-time copy of the pool's metrics
+    this.getMetrics = () => {
+      const pool = this.pool;
+      return RED.util.cloneMessage({
+        id: this.id,
+        name: this.name || '',
+        open: pool !== null,
+        connections: {
+          checkedOut: this.poolActiveConnections,
+          idle: pool && Array.isArray(pool.freeConnections) ? pool.freeConnections.length : 0,
+          size: pool && typeof pool.poolSize === 'number' ? pool.poolSize : 0
+        },
+        waiters: this.waiting,
+        checkoutWait: this.metrics.checkoutWait,
+        statements: this.metrics.statements,
+        events: this.metrics.events,
+        statementCache: Object.assign({ size: this.statementCacheSize }, this.metrics.statementCache),
+        target: { index: this.targetIndex, name: this.targetName(this.targetIndex), count: this.targets.length },
+        replicas: this.replicas.map(replica => ({
+          name: replica.name,
+          open: replica.pool !== null,
+          healthy: replica.healthy,
+          checkouts: replica.checkouts,
+          lastError: replica.lastError ? describeOdbcError(replica.lastError).message : null
+        })),
+        nodes: this.metrics.nodes,
+        lastUsed: this.poolLastUsed,
+        lastError: this.lastError ? describeOdbcError(this.lastError).message : null,
+        timestamp: Date.now()
+      });
+    };
+
+    // Lease a connection for a single piece of work and always return it
+    this.withConnection = async (work) => {
+      const connection = await this.connect();
+      try {
+        return await work(connection);
+      } finally {
+        await connection.close().catch(() => {});
+      }
+    };
+
+    // Open transactions, keyed by id. Messages only carry the { id, pool } handle,
+    // the pinned connection itself stays here so the handle survives message cloning.
+    this.transactions = new Map();
+
+    // Lease a connection, begin a transaction on it and pin it until commit/rollback
+    this.beginTransaction = async (ownerId, timeout) => {
+      const connection = await this.connect();
+      try {
+        await connection.beginTransaction();
+      } catch (error) {
+        await connection.close().catch(() => {});
+        throw error;
+      }
+
+      const transaction = { id: RED.util.generateId(), owner: ownerId, connection: connection, timer: null };
+      if (timeout > 0) {
+        transaction.timer = setTimeout(() => {
+          this.warn(`Transaction ${transaction.id} timed out after ${timeout / 1000}s and was rolled back`);
+          this.endTransaction(transaction.id, 'rollback').catch(() => {});
+        }, timeout);
+      }
+      this.transactions.set(transaction.id, transaction);
+      return transaction;
+    };
+
+    // Commit or roll back a transaction and return its connection to the pool
+    this.endTransaction = async (id, action) => {
+      const transaction = this.transactions.get(id);
+      if (!transaction) {
+        const error = new Error(`Transaction ${id} is not active`);
+        error.code = 'ODBC_TRANSACTION_INACTIVE';
+        throw error;
+      }
+      this.transactions.delete(id);
+      if (transaction.timer) {
+        clearTimeout(transaction.timer);
+      }
+
+      try {
+        if (action === 'commit') {
+          await transaction.connection.commit();
+        } else {
+          await transaction.connection.rollback();
+        }
+      } catch (error) {
+        if (action === 'commit') {
+          await transaction.connection.rollback().catch(() => {});
+        }
+        throw error;
+      } finally {
+        await transaction.connection.close().catch(() => {});
+      }
+    };
+
+    // Roll back every open transaction, optionally only those begun by one node
+    this.rollbackTransactions = async (ownerId) => {
+      const ids = Array.from(this.transactions.values())
+        .filter(transaction => !ownerId || transaction.owner === ownerId)
+        .map(transaction => transaction.id);
+      await Promise.all(ids.map(id => this.endTransaction(id, 'rollback').catch(() => {})));
+    };
+
+    // Resolve the transaction handle carried on a message, if it belongs to this pool
+    this.getMessageTransaction = (message) => {
+      const handle = message && message.transaction;
+      if (!handle || handle.pool !== this.id) {
+        return null;
+      }
+      const transaction = this.transactions.get(handle.id);
+      if (!transaction) {
+        const error = new Error(`Transaction ${handle.id} is not active`);
+        error.code = 'ODBC_TRANSACTION_INACTIVE';
+        throw error;
+      }
+      return transaction;
+    };
+
+    poolNodes.add(this);
+
+    // Cleanup on node close
+    this.on('close', async () => {
+      poolNodes.delete(this);
+      if (this.cleanupInterval) {
+        clearInterval(this.cleanupInterval);
+        this.cleanupInterval = null;
+      }
+      if (this.keepaliveTimer) {
+        clearInterval(this.keepaliveTimer);
+        this.keepaliveTimer = null;
+      }
+      if (this.failbackTimer) {
+        clearInterval(this.failbackTimer);
+        this.failbackTimer = null;
+      }
+      await this.rollbackTransactions();
+      // Let a pool that is still being created finish, so it is closed too
+      if (this.initializing) {
+        await this.initializing.catch(() => {});
+      }
+      await this.closePool().catch(() => {});
+      await this.closeReplicas();
+    });
+  }
+  
+  RED.nodes.registerType('odbc-pooling-pool', odbcPool, {
+    credentials: {
+      user: { type: 'text' },
+      password: { type: 'password' }
+    }
+  });
+
+  // Wrap a catalog lookup as an admin endpoint run against a deployed pool node
+  function schemaEndpoint(lookup) {
+    return async (req, res) => {
+      const poolNode = RED.nodes.getNode(req.params.id);
+      if (!poolNode || poolNode.type !== 'odbc-pooling-pool') {
+        res.status(404).json({ error: 'Pool node not found, deploy it first' });
+        return;
+      }
+
+      // Empty query string values mean "any"
+      const filter = {};
+      ['catalog', 'schema', 'table'].forEach(key => {
+        filter[key] = req.query[key] ? String(req.query[key]) : null;
+      });
+
+      try {
+        res.json(await poolNode.withConnection(connection => lookup(connection, filter)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  // Metrics for every deployed pool, as JSON or with ?format=prometheus as Prometheus text
+  function sendMetrics(req, res, snapshots) {
+    if (req.query.format === 'prometheus') {
+      res.set('Content-Type', 'text/plain; version=0.0.4');
+      res.send(formatPrometheus(snapshots));
+      return;
+    }
+    res.json(snapshots);
+  }
+
+  RED.httpAdmin.get('/odbc-pooling-pool/metrics', RED.auth.needsPermission('odbc-pooling-pool.read'), (req, res) => {
+    sendMetrics(req, res, Array.from(poolNodes).map(poolNode => poolNode.getMetrics()));
+  });
+
+  RED.httpAdmin.get('/odbc-pooling-pool/:id/metrics', RED.auth.needsPermission('odbc-pooling-pool.read'), (req, res) => {
+    const poolNode = RED.nodes.getNode(req.params.id);
+    if (!poolNode || !poolNodes.has(poolNode)) {
+      res.status(404).json({ error: 'Pool node not found, deploy it first' });
+      return;
+    }
+    if (req.query.format === 'prometheus') {
+      sendMetrics(req, res, [poolNode.getMetrics()]);
+      return;
+    }
+    res.json(poolNode.getMetrics());
+  });
+
+  // up: pool open, idle: not opened yet or closed while idle, down: the last attempt to open it failed
+  RED.httpAdmin.get('/odbc-pooling-pool/:id/health', RED.auth.needsPermission('odbc-pooling-pool.read'), (req, res) => {
+    const poolNode = RED.nodes.getNode(req.params.id);
+    if (!poolNode || !poolNodes.has(poolNode)) {
+      res.status(404).json({ error: 'Pool node not found, deploy it first' });
+      return;
+    }
+    const snapshot = poolNode.getMetrics();
+    const status = snapshot.open ? 'up' : (snapshot.lastError ? 'down' : 'idle');
+    res.status(status === 'down' ? 503 : 200).json({
+      status: status,
+      pool: snapshot.id,
+      name: snapshot.name,
+      connections: snapshot.connections,
+      waiters: snapshot.waiters,
+      target: snapshot.target,
+      replicas: snapshot.replicas,
+      lastUsed: snapshot.lastUsed,
+      lastError: snapshot.lastError
+    });
+  });
+
+  function distinctValues(rows, key) {
+    return Array.from(new Set(rows.map(row => row[key]).filter(value => value !== null && value !== undefined)));
+  }
+
+  // The empty-string/% combinations are the ODBC conventions for listing catalogs and schemas
+  const schemaLookups = {
+    catalogs: async (connection) => distinctValues(await connection.tables('%', '', '', ''), 'TABLE_CAT'),
+    schemas: async (connection) => distinctValues(await connection.tables('', '%', '', ''), 'TABLE_SCHEM'),
+    tables: async (connection, filter) => (await connection.tables(filter.catalog, filter.schema, null, null))
+      .map(row => ({ catalog: row.TABLE_CAT, schema: row.TABLE_SCHEM, name: row.TABLE_NAME, type: row.TABLE_TYPE })),
+    columns: async (connection, filter) => (await connection.columns(filter.catalog, filter.schema, filter.table, null))
+      .map(row => ({ name: row.COLUMN_NAME, type: row.TYPE_NAME, size: row.COLUMN_SIZE, nullable: row.NULLABLE === 1 })),
+    // odbc has no SQLProcedures binding, so fall back to the standard information schema
+    procedures: async (connection, filter) => {
+      const where = filter.schema ? ' WHERE ROUTINE_SCHEMA = ?' : '';
+      const rows = await connection.query(
+        'SELECT ROUTINE_CATALOG, ROUTINE_SCHEMA, ROUTINE_NAME, ROUTINE_TYPE FROM INFORMATION_SCHEMA.ROUTINES' + where,
+        filter.schema ? [filter.schema] : undefined
+      );
+      return rows.map(row => ({ catalog: row.ROUTINE_CATALOG, schema: row.ROUTINE_SCHEMA, name: row.ROUTINE_NAME, type: row.ROUTINE_TYPE }));
+    }
+  };
+
+  Object.keys(schemaLookups).forEach(name => {
+    RED.httpAdmin.get(`/odbc-pooling-pool/:id/schema/${name}`, RED.auth.needsPermission('odbc-pooling-pool.read'), schemaEndpoint(schemaLookups[name]));
+  });
+
+  // Open a one-off connection with the (possibly unsaved) settings from the pool dialog
+  RED.httpAdmin.post('/odbc-pooling-pool/test', RED.auth.needsPermission('odbc-pooling-pool.write'), async (req, res) => {
+    const body = req.body || {};
+    if (!body.connectionString) {
+      res.status(400).json({ ok: false, message: 'No connection string' });
+      return;
+    }
+
+    // An unchanged password field comes back as a placeholder, so use the saved one
+    const saved = (body.id && RED.nodes.getCredentials(body.id)) || {};
+    const credentials = {
+      user: body.user,
+      password: body.password === '__PWRD__' ? saved.password : body.password
+    };
+
+    const started = Date.now();
+    let connection;
+    try {
+      const poolNode = body.id ? RED.nodes.getNode(body.id) : null;
+      const connectionConfig = {
+        connectionString: buildConnectionString(body.connectionString, credentials, poolNode && poolNodes.has(poolNode) ? poolNode : null)
+      };
+      if (body.loginTimeout !== undefined && body.loginTimeout !== '' && !isNaN(Number(body.loginTimeout))) {
+        connectionConfig.loginTimeout = Number(body.loginTimeout);
+      }
+      connection = await odbc.connect(connectionConfig);
+      res.json({ ok: true, elapsed: Date.now() - started });
+    } catch (error) {
+      res.json(Object.assign({ ok: false, elapsed: Date.now() - started }, describeOdbcError(error)));
+    } finally {
+      if (connection) {
+        await connection.close().catch(() => {});
+      }
+    }
+  });
+
+  function odbcQuery(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = RED.nodes.getNode(config.connection);
+    this.queryString = config.query;
+    this.queryType = config.queryType || 'editor';
+    this.queryProperty = config.queryProperty || '';
+    this.parametersValue = config.parameters || '';
+    this.parametersType = config.parametersType || 'json';
+    this.payloadOverride = config.payloadOverride !== false && config.payloadOverride !== 'false';
+    this.allowPayloadQuery = config.allowPayloadQuery !== false && config.allowPayloadQuery !== 'false';
+    this.allowedStatements = statementTypes(config.allowedStatements);
+    this.outfield = config.outField || 'payload';
+    this.resultMode = config.resultMode || 'all';
+    this.name = config.name;
+    this.parameterSource = config.parameterSource || 'parameters';
+    this.streaming = config.streaming === true || config.streaming === 'true';
+    this.fetchSize = Number(config.fetchSize) > 0 ? Number(config.fetchSize) : 1000;
+    this.streamAck = config.streamAck === true || config.streamAck === 'true';
+    this.ackTimeout = Number(config.ackTimeout) > 0 ? Number(config.ackTimeout) : 60;
+    this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : 0;
+    this.retryUnsafe = config.retryUnsafe === true || config.retryUnsafe === 'true';
+    this.errorOutput = config.errorOutput === true || config.errorOutput === 'true';
+    this.redactParameters = config.redactParameters === true || config.redactParameters === 'true';
+    this.conversion = conversionOptions(config);
+    this.route = ['read', 'primary'].includes(config.route) ? config.route : 'auto'; // Read replica routing
+    this.cacheTags = cacheTagList(config.cacheTags);
+    this.invalidateTags = cacheTagList(config.invalidateTags);
+    this.resultCache = Number(config.cacheTtl) > 0
+      ? createResultCache(Number(config.cacheTtl) * 1000,
+        Number(config.cacheMaxEntries) > 0 ? Math.floor(Number(config.cacheMaxEntries)) : 100,
+        Number(config.cacheMaxMemory) > 0 ? Number(config.cacheMaxMemory) * 1024 * 1024 : 0)
+      : null;
+    if (this.resultCache || this.cacheTags.length > 0) {
+      cachingNodes.add(this);
+    }
+    this.activeQueries = 0; // Track number of active queries
+    this.activeCursors = new Set(); // Cursors held open by streaming queries
+    this.streamAcks = new Map(); // Streams waiting for their last batch to be acknowledged, by parts id
+    this.inFlight = new Set(); // Statements that can be cancelled on timeout or close
+    this.closing = false;
+    
+    const getStatusText = () => {
+      const hasPool = !!(this.poolNode && this.poolNode.pool);
+      const active = (this.poolNode && typeof this.poolNode.poolActiveConnections === 'number')
+        ? this.poolNode.poolActiveConnections
+        : 0;
+      
+      if (!hasPool) {
+        return 'idle';
+      }
+      
+      const target = this.poolNode.describeTarget();
+      const on = target ? ` on ${target.name}` : '';
+      const cached = this.resultCache ? `, ${this.resultCache.hits} cached` : '';
+      if (this.activeQueries > 0) {
+        return `querying (${active})${on}${cached}`;
+      }
+      
+      return `ready (${active})${on}${cached}`;
+    };
+
+    // Stream the result set in batches of fetchSize rows, one message per batch. The next
+    // batch is fetched only after the previous one has been sent; with streamAck it is also
+    // not fetched before the flow has sent the batch back (e.g. from a complete node), so a
+    // slow flow never holds more than one batch of a stream.
+    this.streamQuery = async function(lease, queryString, parameters, message, send) {
+      const cursor = await runStatement(this, lease, statementTimeout(this, message), options =>
+        lease.connection.query(queryString, parameters, Object.assign({ cursor: true, fetchSize: this.fetchSize }, options)));
+      this.activeCursors.add(cursor);
+
+      const partsId = RED.util.generateId();
+      let index = 0;
+      let rowCount = 0;
+
+      const sendBatch = (rows, isLast) => {
+        const batch = RED.util.cloneMessage(message);
+        RED.util.setMessageProperty(batch, this.outfield, rows, true);
+        batch.parts = { id: partsId, index: index, type: 'array', len: this.fetchSize };
+        if (this.outfield !== 'payload') {
+          batch.parts.property = this.outfield;
+        }
+        if (isLast) {
+          batch.parts.count = index + 1;
+          batch.complete = true;
+        } else if (this.streamAck) {
+          batch.streamAck = partsId;
+        }
+        send(batch);
+        index += 1;
+        rowCount += rows.length;
+      };
+
+      // Wait until the flow sends the batch back with msg.streamAck
+      const waitForAck = () => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          this.streamAcks.delete(partsId);
+          reject(statementError(`Streamed batch not acknowledged within ${this.ackTimeout} seconds`, 'ODBC_ACK_TIMEOUT'));
+        }, this.ackTimeout * 1000);
+        this.streamAcks.set(partsId, () => {
+          clearTimeout(timer);
+          this.streamAcks.delete(partsId);
+          resolve();
+        });
+      });
+
+      try {
+        while (!this.closing) {
+          this.poolNode.poolLastUsed = Date.now();
+          const rows = await cursor.fetch();
+          // A short batch is the last one; a result ending on a batch boundary ends with an empty batch
+          const isLast = rows.length < this.fetchSize || cursor.noData;
+          sendBatch(Array.from(convertResult(rows, this.conversion)), isLast);
+          if (isLast) {
+            break;
+          }
+          this.status({fill: 'blue', shape: 'dot', text: `streaming (${rowCount} rows)`});
+          if (this.streamAck) {
+            await waitForAck();
+          } else {
+            // Let downstream nodes run before fetching the next batch
+            await new Promise(resolve => setImmediate(resolve));
+          }
+        }
+      } finally {
+        this.activeCursors.delete(cursor);
+        await cursor.close().catch(() => {});
+      }
+
+      return rowCount;
+    };
+
+    // Look up a named parameter value from payload.parameters, the message or context
+    this.lookupParameter = function(name, parameters, message) {
+      switch (this.parameterSource) {
+        case 'msg':
+          return RED.util.getMessageProperty(message, name);
+        case 'flow':
+          return this.context().flow.get(name);
+        case 'global':
+          return this.context().global.get(name);
+        default:
+          return parameters && Object.prototype.hasOwnProperty.call(parameters, name) ? parameters[name] : undefined;
+      }
+    };
+
+    this.runQuery = async function(message, send, done) {
+      let lease;
+
+      // A cache control message clears cached results instead of running a statement
+      if (message.cacheInvalidate !== undefined && message.cacheInvalidate !== false) {
+        if (message.cacheInvalidate === true) {
+          if (this.resultCache) {
+            clearCache(this.resultCache);
+          }
+        } else {
+          invalidateCacheTags(cacheTagList(message.cacheInvalidate));
+        }
+        this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+        if (done) {
+          done();
+        }
+        return;
+      }
+      
+      // Increment active queries counter
+      this.activeQueries += 1;
+      this.status({fill: "blue", shape: "dot", text: getStatusText()});
+
+      // Resolve query and parameters from the node's typed inputs, then the payload
+      let parameters = undefined;
+      let queryString = this.queryString;
+
+      try {
+        if (this.queryType !== 'editor') {
+          queryString = await evaluateProperty(this, this.queryProperty, this.queryType, message);
+        }
+        if (this.parametersType !== 'json' || this.parametersValue.trim() !== '') {
+          parameters = await evaluateProperty(this, this.parametersValue, this.parametersType, message);
+        }
+
+        const payloadData = this.payloadOverride ? parsePayload(message.payload) : null;
+        if (payloadData) {
+          if (payloadData.query && !this.allowPayloadQuery) {
+            throw rejectedError('SQL from msg.payload is not allowed');
+          }
+          queryString = payloadData.query || queryString;
+          parameters = payloadData.parameters || parameters;
+        }
+        if (typeof parameters === 'string') {
+          parameters = JSON.parse(parameters);
+        }
+
+        if (typeof queryString !== 'string' || queryString.trim() === '') {
+          throw new Error('No query to run');
+        }
+
+        // Both the pool's and the node's guard must allow the statement
+        [this.poolNode.allowedStatements, this.allowedStatements].forEach(allowed => {
+          if (allowed && allowed.length > 0) {
+            guardStatement(queryString, allowed);
+          }
+        });
+
+        // Markers are bound by name only when named values are supplied: an object of
+        // parameters, or values looked up on the message or in context
+        const named = this.parameterSource !== 'parameters' ||
+          (parameters !== null && typeof parameters === 'object' && !Array.isArray(parameters));
+        if (named && !Array.isArray(parameters)) {
+          const values = parameters;
+          const bound = bindNamedParameters(queryString, name => this.lookupParameter(name, values, message));
+          queryString = bound ? bound.sql : queryString;
+          parameters = bound ? bound.parameters : undefined;
+        }
+      } catch (error) {
+        this.activeQueries -= 1;
+        await failMessageTransaction(this.poolNode, message);
+        if (this.errorOutput) {
+          reportStatementError(this, error, message, send, done, { statement: queryString, parameters: parameters });
+          return;
+        }
+        this.status({fill: "red", shape: "ring", text: error.message});
+        if (done) {
+          done(error);
+        } else {
+          this.error(error, message);
+        }
+        return;
+      }
+
+      // Repeated read-only queries outside a transaction are answered from the result cache,
+      // without checking out a connection. msg.cache = false bypasses the cache.
+      const cacheKey = this.resultCache && !this.streaming && message.cache !== false && !message.transaction &&
+        isIdempotentStatement(queryString)
+        ? JSON.stringify([queryString, parameters], (name, value) => typeof value === 'bigint' ? String(value) : value)
+        : null;
+      if (cacheKey) {
+        const cached = readCache(this.resultCache, cacheKey);
+        if (cached) {
+          this.activeQueries -= 1;
+          try {
+            RED.util.setMessageProperty(message, this.outfield, shapeResult(cached, this.resultMode), true);
+          } catch (error) {
+            handleNodeError(this, error, message, done);
+            return;
+          }
+          message.cached = true;
+          send(message);
+          this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+          if (done) {
+            done();
+          }
+          return;
+        }
+      }
+
+      // Reads go to a read replica: with "auto" when the statement only reads, or when asked to
+      const route = ['auto', 'read', 'primary'].includes(message.route) ? message.route : this.route;
+      const read = route === 'read' || (route === 'auto' && isReadStatement(queryString));
+
+      try {
+        lease = await leaseConnection(this.poolNode, message, read);
+      } catch (error) {
+        this.activeQueries -= 1;
+        if (error) {
+          reportStatementError(this, error, message, send, done, {});
+        }
+        return;
+      }
+
+      if (this.streaming) {
+        const started = Date.now();
+        let slow;
+        setMessageTarget(this.poolNode, message, lease.connection);
+        try {
+          const rows = await this.streamQuery(lease, queryString, parameters, message, send);
+          slow = this.poolNode.audit(this, message, { statement: queryString, parameters: parameters, started: started, rows: rows });
+        } catch (error) {
+          this.poolNode.audit(this, message, { statement: queryString, parameters: parameters, started: started, error: error });
+          this.activeQueries -= 1;
+          await lease.fail();
+          // A cursor closed by a flow stop is not an error worth reporting
+          if (this.closing) {
+            if (done) {
+              done();
+            }
+            return;
+          }
+          reportStatementError(this, error, message, send, done, { statement: queryString, parameters: parameters });
+          return;
+        }
+
+        await lease.release();
+        this.activeQueries -= 1;
+        this.status({fill: slow ? 'yellow' : 'green', shape: 'dot', text: getStatusText() + (slow ? ', slow' : '')});
+        if (done) {
+          done();
+        }
+        return;
+      }
+
+      // Execute query under the pool's retry policy (never inside a transaction)
+      const timeout = statementTimeout(this, message);
+      const execute = () => runStatement(this, lease, timeout, options => this.poolNode.statementCacheSize > 0
+        ? this.poolNode.preparedQuery(lease.connection, queryString, parameters, options)
+        : lease.connection.query(queryString, parameters, options));
+      const started = Date.now();
+      let result;
+      try {
+        result = await runWithRetry(this, lease, message, isIdempotentStatement(queryString), execute);
+      } catch (error) {
+        this.activeQueries -= 1;
+        this.poolNode.audit(this, message, { statement: queryString, parameters: parameters, started: started, error: error });
+        reportStatementError(this, error, message, send, done, { statement: queryString, parameters: parameters });
+        await lease.fail();
+        return;
+      }
+      const slow = this.poolNode.audit(this, message, { statement: queryString, parameters: parameters, started: started, result: result });
+      setMessageTarget(this.poolNode, message, lease.connection);
+
+      await lease.release();
+      this.activeQueries -= 1;
+      if (this.invalidateTags.length > 0) {
+        invalidateCacheTags(this.invalidateTags);
+      }
+      try {
+        const converted = convertResult(result, this.conversion);
+        if (cacheKey) {
+          writeCache(this.resultCache, cacheKey, converted);
+          message.cached = false;
+        }
+        RED.util.setMessageProperty(message, this.outfield, shapeResult(converted, this.resultMode), true);
+      } catch (error) {
+        handleNodeError(this, error, message, done);
+        return;
+      }
+      send(message);
+      this.status({fill: slow ? 'yellow' : 'green', shape: 'dot', text: getStatusText() + (slow ? ', slow' : '')});
+      if (done) {
+        done();
+      }
+    }
+
+    // Wait for the pool's shared initialization before running
+    this.checkPool = async function(message, send, done) {
+      // With acknowledgements on, a streamed batch sent back to the node acknowledges it
+      // and is never run as a query
+      if (this.streamAck && message.streamAck !== undefined) {
+        const ack = this.streamAcks.get(message.streamAck);
+        if (ack) {
+          ack();
+        }
+        if (done) {
+          done();
+        }
+        return;
+      }
+      try {
+        await this.poolNode.createPool();
+      } catch (error) {
+        reportStatementError(this, error, message, send, done, {});
+        return;
+      }
+      await this.runQuery(message, send, done);
+    }
+    
+    this.on('input', this.checkPool);
+
+    // Stop streaming, cancel running statements and release held cursors when the flow is stopped
+    this.on('close', async () => {
+      this.closing = true;
+      cachingNodes.delete(this);
+      cancelStatements(this);
+      Array.from(this.streamAcks.values()).forEach(ack => ack());
+      const cursors = Array.from(this.activeCursors);
+      this.activeCursors.clear();
+      await Promise.all(cursors.map(cursor => cursor.close().catch(() => {})));
+    });
+
+    this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+  }
+
+  RED.nodes.registerType("odbc-pooling-query", odbcQuery);
+
+  function odbcProcedure(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = RED.nodes.getNode(config.connection);
+    this.catalog = config.catalog || null;
+    this.schema = config.schema || null;
+    this.procedure = config.procedure;
+    this.outfield = config.outField || 'payload';
+    this.resultMode = config.resultMode || 'all';
+    this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : 0;
+    this.retryUnsafe = config.retryUnsafe === true || config.retryUnsafe === 'true';
+    this.errorOutput = config.errorOutput === true || config.errorOutput === 'true';
+    this.redactParameters = config.redactParameters === true || config.redactParameters === 'true';
+    this.conversion = conversionOptions(config);
+    this.activeQueries = 0; // Track number of active procedures
+    this.inFlight = new Set(); // Calls that can be cancelled on timeout or close
+    this.closing = false;
+    this.procedureMetadata = new Map(); // Catalog parameter lists, keyed by qualified name
+    
+    const getStatusText = () => {
+      const hasPool = !!(this.poolNode && this.poolNode.pool);
+      const active = (this.poolNode && typeof this.poolNode.poolActiveConnections === 'number')
+        ? this.poolNode.poolActiveConnections
+        : 0;
+      
+      if (!hasPool) {
+        return 'idle';
+      }
+      
+      const target = this.poolNode.describeTarget();
+      const on = target ? ` on ${target.name}` : '';
+      if (this.activeQueries > 0) {
+        return `querying (${active})${on}`;
+      }
+      
+      return `ready (${active})${on}`;
+    };
+
+    // Parse parameters from config if provided
+    this.parameters = undefined;
+    if (config.parameters) {
+      try {
+        this.parameters = JSON.parse(config.parameters);
+      } catch (error) {
+        this.status({fill: 'red', shape: 'ring', text: error.message});
+        return;
+      }
+    }
+
+    this.runProcedure = async function(message, send, done) {
+      let lease;
+      
+      // Increment active queries counter
+      this.activeQueries += 1;
+      this.status({fill: "blue", shape: "dot", text: getStatusText()});
+
+      try {
+        lease = await leaseConnection(this.poolNode, message);
+      } catch (error) {
+        this.activeQueries -= 1;
+        if (error) {
+          reportStatementError(this, error, message, send, done, {});
+        }
+        return;
+      }
+
+      // Get procedure parameters from payload or config
+      let catalog = this.catalog;
+      let schema = this.schema;
+      let procedure = this.procedure;
+      let parameters = this.parameters;
+
+      try {
+        const payloadData = parsePayload(message.payload);
+        if (payloadData) {
+          catalog = payloadData.catalog || catalog;
+          schema = payloadData.schema || schema;
+          procedure = payloadData.procedure || procedure;
+          parameters = payloadData.parameters || parameters;
+        }
+      } catch (error) {
+        this.activeQueries -= 1;
+        await lease.fail();
+        if (this.errorOutput) {
+          reportStatementError(this, error, message, send, done, { statement: procedure, parameters: parameters });
+          return;
+        }
+        this.status({fill: "red", shape: "ring", text: error.message});
+        if (done) {
+          done(error);
+        } else {
+          this.error(error, message);
+        }
+        return;
+      }
+
+      // Named parameters and the "procedure" result mode need the procedure's parameter list.
+      // Positional calls still go ahead when the catalog has no entry for the procedure.
+      const statement = [catalog, schema, procedure].filter(Boolean).join('.');
+      const named = parameters !== null && typeof parameters === 'object' && !Array.isArray(parameters);
+      let metadata = null;
+      if (named || this.resultMode === 'procedure') {
+        try {
+          metadata = this.procedureMetadata.get(statement);
+          if (!metadata) {
+            metadata = await procedureParameters(lease.connection, catalog, schema, procedure);
+            this.procedureMetadata.set(statement, metadata);
+          }
+          if (named) {
+            parameters = orderProcedureParameters(metadata, parameters);
+          }
+        } catch (error) {
+          if (named || error.code !== 'ODBC_UNKNOWN_PROCEDURE') {
+            this.activeQueries -= 1;
+            await lease.fail();
+            reportStatementError(this, error, message, send, done, { statement: statement, parameters: parameters });
+            return;
+          }
+          metadata = null;
+        }
+      }
+
+      // Execute procedure under the pool's retry policy (never inside a transaction). A call
+      // may change data, so it is only repeated on other errors when "retryUnsafe" is set.
+      // callProcedure takes no query options, so only the connection discard enforces the timeout.
+      const timeout = statementTimeout(this, message);
+      const execute = () => runStatement(this, lease, timeout, () => lease.connection.callProcedure(catalog, schema, procedure, parameters));
+      const started = Date.now();
+      let result;
+      try {
+        result = await runWithRetry(this, lease, message, false, execute);
+      } catch (error) {
+        this.activeQueries -= 1;
+        this.poolNode.audit(this, message, { statement: statement, parameters: parameters, started: started, error: error });
+        // Report the driver's message on the error itself, keeping its prototype and properties
+        if (error.odbcErrors && error.odbcErrors[0]) {
+          error.message = error.odbcErrors[0].message;
+        }
+        reportStatementError(this, error, message, send, done, { statement: statement, parameters: parameters });
+        await lease.fail();
+        return;
+      }
+
+      const slow = this.poolNode.audit(this, message, { statement: statement, parameters: parameters, started: started, result: result });
+      setMessageTarget(this.poolNode, message, lease.connection);
+
+      await lease.release();
+      this.activeQueries -= 1;
+      try {
+        const converted = convertResult(result, this.conversion);
+        const output = this.resultMode === 'procedure'
+          ? shapeProcedureResult(converted, metadata)
+          : shapeResult(converted, this.resultMode);
+        RED.util.setMessageProperty(message, this.outfield, output, true);
+      } catch (error) {
+        handleNodeError(this, error, message, done);
+        return;
+      }
+      send(message);
+      this.status({fill: slow ? 'yellow' : 'green', shape: 'dot', text: getStatusText() + (slow ? ', slow' : '')});
+      if (done) {
+        done();
+      }
+    }
+
+    // Wait for the pool's shared initialization before running
+    this.checkPool = async function(message, send, done) {
+      try {
+        await this.poolNode.createPool();
+      } catch (error) {
+        reportStatementError(this, error, message, send, done, {});
+        return;
+      }
+      await this.runProcedure(message, send, done);
+    }
+    
+    this.on('input', this.checkPool);
+
+    // Cancel running calls when the flow is stopped
+    this.on('close', () => {
+      this.closing = true;
+      cancelStatements(this);
+    });
+
+    this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+  }
+
+  RED.nodes.registerType("odbc-pooling-procedure", odbcProcedure);
+
+  function odbcTransaction(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = RED.nodes.getNode(config.connection);
+    this.mode = config.mode || 'begin';
+    this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) * 1000 : 0;
+
+    const getStatusText = () => {
+      const open = this.poolNode ? this.poolNode.transactions.size : 0;
+      return `${this.mode} (${open} open)`;
+    };
+
+    this.runTransaction = async function(message, send, done) {
+      const handle = message.transaction;
+
+      try {
+        if (this.mode === 'begin') {
+          if (handle && handle.pool === this.poolNode.id && this.poolNode.transactions.has(handle.id)) {
+            const error = new Error(`Message is already in transaction ${handle.id}`);
+            error.code = 'ODBC_TRANSACTION_ACTIVE';
+            throw error;
+          }
+          const transaction = await this.poolNode.beginTransaction(this.id, this.timeout);
+          message.transaction = { id: transaction.id, pool: this.poolNode.id };
+        } else {
+          if (!handle || handle.pool !== this.poolNode.id) {
+            const error = new Error('Message does not carry a transaction for this pool');
+            error.code = 'ODBC_TRANSACTION_INACTIVE';
+            throw error;
+          }
+          // A transaction already rolled back after an error needs no second rollback
+          if (this.mode === 'commit' || this.poolNode.transactions.has(handle.id)) {
+            await this.poolNode.endTransaction(handle.id, this.mode);
+          }
+          delete message.transaction;
+        }
+      } catch (error) {
+        handleNodeError(this, error, message, done);
+        return;
+      }
+
+      send(message);
+      this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+      if (done) {
+        done();
+      }
+    }
+
+    this.on('input', this.runTransaction);
+
+    // Roll back transactions begun by this node when the flow is stopped or redeployed
+    this.on('close', async () => {
+      if (this.poolNode) {
+        await this.poolNode.rollbackTransactions(this.id);
+      }
+    });
+
+    this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+  }
+
+  RED.nodes.registerType("odbc-pooling-transaction", odbcTransaction);
+
+  function odbcBulkInsert(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = RED.nodes.getNode(config.connection);
+    this.table = config.table;
+    this.batchSize = Number(config.batchSize) > 0 ? Number(config.batchSize) : 100;
+    this.insertMode = config.insertMode || 'multirow';
+    this.continueOnError = config.continueOnError === true || config.continueOnError === 'true';
+    this.outfield = config.outField || 'payload';
+
+    // Column mapping: "COLUMN" takes the same-named row property, "COLUMN=path" a nested one
+    this.columns = (config.columns || '').split(',')
+      .map(entry => entry.trim())
+      .filter(entry => entry !== '')
+      .map(entry => {
+        const [column, path] = entry.split('=').map(part => part.trim());
+        return { column: column, path: path || column };
+      });
+
+    // Turn the input rows into one positional value array per row
+    this.mapRows = function(rows, columns) {
+      return rows.map(row => {
+        if (Array.isArray(row)) {
+          return row;
+        }
+        return columns.map(mapping => {
+          try {
+            const value = RED.util.getObjectProperty(row, mapping.path);
+            return value === undefined ? null : value;
+          } catch (error) {
+            // A missing intermediate object means the value is absent
+            return null;
+          }
+        });
+      });
+    };
+
+    this.insertChunk = async function(connection, table, columnList, values) {
+      const width = values[0].length;
+      const rowMarkers = `(${new Array(width).fill('?').join(', ')})`;
+      const insert = `INSERT INTO ${table}${columnList} VALUES `;
+
+      if (this.insertMode === 'prepared') {
+        const statement = await connection.createStatement();
+        try {
+          await statement.prepare(insert + rowMarkers);
+          for (const row of values) {
+            await statement.bind(row);
+            await statement.execute();
+          }
+        } finally {
+          await statement.close().catch(() => {});
+        }
+        return;
+      }
+
+      const sql = insert + new Array(values.length).fill(rowMarkers).join(', ');
+      await connection.query(sql, [].concat(...values));
+    };
+
+    this.runBulkInsert = async function(message, send, done) {
+      const started = Date.now();
+      let lease;
+      let table;
+      let columns;
+      let values;
+
+      try {
+        const rows = message.payload;
+        if (!Array.isArray(rows)) {
+          throw new Error('msg.payload must be an array of rows');
+        }
+        table = checkIdentifier(message.table || this.table);
+        columns = this.columns;
+        if (columns.length === 0 && rows.length > 0 && !Array.isArray(rows[0])) {
+          columns = Object.keys(rows[0]).map(key => ({ column: key, path: key }));
+        }
+        columns.forEach(mapping => checkIdentifier(mapping.column));
+        values = this.mapRows(rows, columns);
+      } catch (error) {
+        await failMessageTransaction(this.poolNode, message);
+        handleNodeError(this, error, message, done);
+        return;
+      }
+
+      const report = { inserted: 0, chunks: 0, failed: [], elapsed: 0 };
+      if (values.length > 0) {
+        const columnList = columns.length > 0 ? ` (${columns.map(mapping => mapping.column).join(', ')})` : '';
+        this.status({fill: 'blue', shape: 'dot', text: `inserting ${values.length} rows`});
+
+        try {
+          lease = await leaseConnection(this.poolNode, message);
+          // Inside an existing transaction the caller commits, otherwise run in our own
+          if (!lease.transaction) {
+            await lease.connection.beginTransaction();
+          }
+
+          for (let offset = 0; offset < values.length; offset += this.batchSize) {
+            const chunk = values.slice(offset, offset + this.batchSize);
+            // A failed statement can abort the whole transaction, so skipped chunks are
+            // undone back to a savepoint taken just before them
+            const savepoint = this.continueOnError ? await setSavepoint(lease.connection) : null;
+            try {
+              await timedStatement(this, () => this.insertChunk(lease.connection, table, columnList, chunk));
+              report.inserted += chunk.length;
+            } catch (error) {
+              if (!savepoint) {
+                error.chunk = report.chunks;
+                throw error;
+              }
+              await lease.connection.query(savepoint.rollback);
+              report.failed.push({ chunk: report.chunks, offset: offset, count: chunk.length, error: error.message });
+            }
+            report.chunks += 1;
+          }
 
-    // Close and reset the pool
-    this.closePool = async () => {
-      if (this.pool) {
-        try {
-          if (typeof this.pool.close === 'function') {
-            await this.pool.close().catch(() => {});
-          } else if (typeof this.pool.disconnect === 'function') {
-            await this.pool.disconnect().catch(() => {});
+          if (!lease.transaction) {
+            await lease.connection.commit();
           }
         } catch (error) {
-          // Ignore errors
+          if (lease) {
+            if (!lease.transaction) {
+              await lease.connection.rollback().catch(() => {});
+            }
+            await lease.fail();
+          }
+          handleNodeError(this, error, message, done);
+          return;
         }
+
+        setMessageTarget(this.poolNode, message, lease.connection);
+        await lease.release();
       }
-      
-      this.pool = null;
-      this.connecting = false;
-      this.poolActiveConnections = 0;
-    };
 
-    // Cleanup on node close
-    this.on('close', () => {
-      if (this.cleanupInterval) {
-        clearInterval(this.cleanupInterval);
-        this.cleanupInterval = null;
+      report.elapsed = Date.now() - started;
+      try {
+        RED.util.setMessageProperty(message, this.outfield, report, true);
+      } catch (error) {
+        handleNodeError(this, error, message, done);
+        return;
       }
-      this.closePool().catch(() => {});
-    });
+      send(message);
+      this.status({
+        fill: report.failed.length > 0 ? 'yellow' : 'green',
+        shape: 'dot',
+        text: `inserted ${report.inserted} rows` + (report.failed.length > 0 ? `, ${report.failed.length} chunks failed` : '')
+      });
+      if (done) {
+        done();
+      }
+    }
+
+    this.on('input', this.runBulkInsert);
   }
-  
-  RED.nodes.registerType('odbc-pooling-pool', odbcPool);
 
-  function odbcQuery(config) {
+  RED.nodes.registerType("odbc-pooling-bulk-insert", odbcBulkInsert);
+
+  function odbcScript(config) {
     RED.nodes.createNode(this, config);
     this.poolNode = RED.nodes.getNode(config.connection);
-    this.queryString = config.query;
-    this.outfield = config.outField;
-    this.name = config.name;
-    this.activeQueries = 0; // Track number of active queries
-    
-    const getStatusText = () => {
-      const hasPool = !!(this.poolNode && this.poolNode.pool);
-      const active = (this.poolNode && typeof this.poolNode.poolActiveConnections === 'number')
-        ? this.poolNode.poolActiveConnections
-        : 0;
-      
-      if (!hasPool) {
-        return 'idle';
-      }
-      
-      if (this.activeQueries > 0) {
-        return `querying (${active})`;
-      }
-      
-      return `ready (${active})`;
-    };
+    this.script = config.script || '';
+    this.delimiter = ['go', 'custom'].includes(config.delimiter) ? config.delimiter : 'semicolon';
+    this.customDelimiter = config.customDelimiter || '';
+    this.mysqlSyntax = config.mysqlSyntax === true || config.mysqlSyntax === 'true';
+    this.transaction = config.transaction === true || config.transaction === 'true';
+    this.continueOnError = config.continueOnError === true || config.continueOnError === 'true';
+    this.outfield = config.outField || 'payload';
+    this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : 0;
+    this.errorOutput = config.errorOutput === true || config.errorOutput === 'true';
+    this.inFlight = new Set(); // Statements that can be cancelled on timeout or close
+    this.closing = false;
 
-    this.runQuery = async function(message, send, done) {
-      let connection;
-      
-      // Increment active queries counter
-      this.activeQueries += 1;
-      this.status({fill: "blue", shape: "dot", text: getStatusText()});
+    this.runScript = async function(message, send, done) {
+      const started = Date.now();
+      const report = { statements: [], failed: [], elapsed: 0 };
+      let statements;
+      let lease;
 
+      // The node's script, or a script string in msg.payload (e.g. from a file-in node)
       try {
-        connection = await this.poolNode.connect();
-      } catch (error) {
-        this.activeQueries -= 1;
-        if (error) {
-          handleNodeError(this, error, message, done);
+        const script = this.script.trim() !== '' ? this.script : message.payload;
+        if (typeof script !== 'string' || script.trim() === '') {
+          throw new Error('No script to run');
+        }
+        statements = splitScript(script, this.delimiter, this.customDelimiter, this.mysqlSyntax);
+        // The pool's statement guard applies to every statement of the script
+        if (this.poolNode.allowedStatements.length > 0) {
+          statements.forEach(statement => guardStatement(statement, this.poolNode.allowedStatements));
         }
+      } catch (error) {
+        await failMessageTransaction(this.poolNode, message);
+        reportStatementError(this, error, message, send, done, {});
         return;
       }
 
-      // Parse payload to get query and parameters
-      let parameters = undefined;
-      let queryString = this.queryString;
+      this.status({fill: 'blue', shape: 'dot', text: `running ${statements.length} statements`});
+      const timeout = statementTimeout(this, message);
+      let ownTransaction = false;
+      let failure = null;
+      let slow = 0;
 
       try {
-        const payloadData = parsePayload(message.payload);
-        if (payloadData) {
-          queryString = payloadData.query || queryString;
-          parameters = payloadData.parameters || undefined;
+        lease = await leaseConnection(this.poolNode, message);
+        // Inside a message's transaction the caller commits, otherwise run in our own when asked
+        if (this.transaction && !lease.transaction) {
+          await lease.connection.beginTransaction();
+          ownTransaction = true;
+        }
+
+        for (let index = 0; index < statements.length; index++) {
+          const statement = statements[index];
+          const statementStarted = Date.now();
+          try {
+            const result = await runStatement(this, lease, timeout, options => lease.connection.query(statement, options));
+            if (this.poolNode.audit(this, message, { statement: statement, started: statementStarted, result: result })) {
+              slow += 1;
+            }
+            report.statements.push({
+              index: index,
+              statement: statement,
+              count: result && typeof result.count === 'number' ? result.count : 0,
+              rows: Array.isArray(result) ? Array.from(result) : []
+            });
+          } catch (error) {
+            this.poolNode.audit(this, message, { statement: statement, started: statementStarted, error: error });
+            error.statementIndex = index;
+            report.failed.push(index);
+            report.statements.push({ index: index, statement: statement, error: describeOdbcError(error) });
+            // A transaction cannot be trusted after a failed statement, so it always stops the script
+            if (!this.continueOnError || lease.transaction || ownTransaction || this.closing) {
+              failure = { error: error, statement: statement };
+              break;
+            }
+          }
+        }
+
+        if (failure && ownTransaction) {
+          await lease.connection.rollback().catch(() => {});
+        } else if (ownTransaction) {
+          await lease.connection.commit();
         }
       } catch (error) {
-        this.activeQueries -= 1;
-        this.status({fill: "red", shape: "ring", text: error.message});
-        await connection.close().catch(() => {});
-        if (done) {
-          done(error);
-        } else {
-          this.error(error, message);
+        if (ownTransaction) {
+          await lease.connection.rollback().catch(() => {});
         }
-        return;
+        failure = { error: error, statement: null };
       }
 
-      // Execute query with retry on connection closed
-      let result;
+      report.elapsed = Date.now() - started;
       try {
-        result = await connection.query(queryString, parameters);
+        RED.util.setMessageProperty(message, this.outfield, report, true);
       } catch (error) {
-        if (isConnectionClosedError(error)) {
-          // Retry with new connection
-          try {
-            await connection.close().catch(() => {});
-            connection = await this.poolNode.connect();
-            result = await connection.query(queryString, parameters);
-          } catch (retryError) {
-            this.activeQueries -= 1;
-            handleNodeError(this, retryError, message, done);
-            await connection.close().catch(() => {});
-            return;
-          }
-        } else {
-          this.activeQueries -= 1;
-          handleNodeError(this, error, message, done);
-          await connection.close().catch(() => {});
-          return;
+        failure = failure || { error: error, statement: null };
+      }
+
+      if (failure) {
+        if (lease) {
+          await lease.fail();
         }
+        reportStatementError(this, failure.error, message, send, done, {
+          statement: failure.statement,
+          statementIndex: failure.error.statementIndex
+        });
+        return;
       }
 
-      await connection.close().catch(() => {});
-      this.activeQueries -= 1;
-      message.payload = result;
+      setMessageTarget(this.poolNode, message, lease.connection);
+      await lease.release();
       send(message);
-      this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+      this.status({
+        fill: report.failed.length > 0 || slow > 0 ? 'yellow' : 'green',
+        shape: 'dot',
+        text: `ran ${statements.length} statements` + (report.failed.length > 0 ? `, ${report.failed.length} failed` : '') +
+          (slow > 0 ? `, ${slow} slow` : '')
+      });
       if (done) {
         done();
       }
-    }
+    };
 
+    // Wait for the pool's shared initialization before running
     this.checkPool = async function(message, send, done) {
-      if (this.poolNode.connecting) {
-        setTimeout(() => {
-          this.checkPool(message, send, done);
-        }, 1000);
+      try {
+        await this.poolNode.createPool();
+      } catch (error) {
+        reportStatementError(this, error, message, send, done, {});
         return;
       }
-
-      if (this.poolNode.pool == null) {
-        this.poolNode.connecting = true;
-      }
-      await this.runQuery(message, send, done);
+      await this.runScript(message, send, done);
     }
-    
+
     this.on('input', this.checkPool);
-    this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+
+    // Cancel the running statement when the flow is stopped
+    this.on('close', () => {
+      this.closing = true;
+      cancelStatements(this);
+    });
   }
 
-  RED.nodes.registerType("odbc-pooling-query", odbcQuery);
+  RED.nodes.registerType("odbc-pooling-script", odbcScript);
 
-  function odbcProcedure(config) {
+  function odbcStats(config) {
     RED.nodes.createNode(this, config);
-    this.poolNode = RED.nodes.getNode(config.connection);
-    this.catalog = config.catalog || null;
-    this.schema = config.schema || null;
-    this.procedure = config.procedure;
-    this.outfield = config.outField;
-    this.activeQueries = 0; // Track number of active procedures
-    
-    const getStatusText = () => {
-      const hasPool = !!(this.poolNode && this.poolNode.pool);
-      const active = (this.poolNode && typeof this.poolNode.poolActiveConnections === 'number')
-        ? this.poolNode.poolActiveConnections
-        : 0;
-      
-      if (!hasPool) {
-        return 'idle';
-      }
-      
-      if (this.activeQueries > 0) {
-        return `querying (${active})`;
+    this.poolNode = config.connection ? RED.nodes.getNode(config.connection) : null;
+    this.interval = Number(config.interval) > 0 ? Number(config.interval) * 1000 : 0;
+    this.format = config.format || 'json';
+    this.timer = null;
+
+    // Without a connection the snapshot covers every deployed pool
+    this.sendSnapshot = function(message, send) {
+      const snapshots = this.poolNode
+        ? [this.poolNode.getMetrics()]
+        : Array.from(poolNodes).map(poolNode => poolNode.getMetrics());
+
+      if (this.format === 'prometheus') {
+        message.payload = formatPrometheus(snapshots);
+      } else {
+        message.payload = this.poolNode ? snapshots[0] : snapshots;
       }
-      
-      return `ready (${active})`;
+      send(message);
+
+      const checkedOut = snapshots.reduce((total, snapshot) => total + snapshot.connections.checkedOut, 0);
+      const idle = snapshots.reduce((total, snapshot) => total + snapshot.connections.idle, 0);
+      this.status({fill: 'green', shape: 'dot', text: `${checkedOut} in use, ${idle} idle`});
     };
 
-    // Parse parameters from config if provided
-    this.parameters = undefined;
-    if (config.parameters) {
-      try {
-        this.parameters = JSON.parse(config.parameters);
-      } catch (error) {
-        this.status({fill: 'red', shape: 'ring', text: error.message});
-        return;
+    this.on('input', (message, send, done) => {
+      this.sendSnapshot(message, send);
+      if (done) {
+        done();
       }
+    });
+
+    if (this.interval > 0) {
+      this.timer = setInterval(() => {
+        this.sendSnapshot({}, message => this.send(message));
+      }, this.interval);
     }
 
-    this.runProcedure = async function(message, send, done) {
-      let connection;
-      
-      // Increment active queries counter
-      this.activeQueries += 1;
-      this.status({fill: "blue", shape: "dot", text: getStatusText()});
+    this.on('close', () => {
+      if (this.timer) {
+        clearInterval(this.timer);
+        this.timer = null;
+      }
+    });
+  }
 
-      try {
-        connection = await this.poolNode.connect();
-      } catch (error) {
-        this.activeQueries -= 1;
-        if (error) {
-          handleNodeError(this, error, message, done);
-        }
+  RED.nodes.registerType("odbc-pooling-stats", odbcStats);
+
+  function odbcAudit(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = config.connection ? RED.nodes.getNode(config.connection) : null;
+    this.filter = ['slow', 'errors'].includes(config.filter) ? config.filter : 'all';
+    this.count = 0;
+
+    // Called by the pool for every audited statement
+    this.emitRecord = function(record) {
+      if ((this.filter === 'slow' && !record.slow) || (this.filter === 'errors' && !record.error)) {
         return;
       }
+      this.send({ topic: record.source.type, payload: RED.util.cloneMessage(record) });
+      this.count += 1;
+      this.status({fill: 'green', shape: 'dot', text: `${this.count} statements`});
+    };
 
-      // Get procedure parameters from payload or config
-      let catalog = this.catalog;
-      let schema = this.schema;
-      let procedure = this.procedure;
-      let parameters = this.parameters;
+    auditNodes.add(this);
+
+    this.on('close', () => {
+      auditNodes.delete(this);
+    });
+  }
+
+  RED.nodes.registerType("odbc-pooling-audit", odbcAudit);
+
+  function odbcPoll(config) {
+    RED.nodes.createNode(this, config);
+    this.poolNode = RED.nodes.getNode(config.connection);
+    this.query = config.query || '';
+    this.schedule = config.schedule === 'cron' ? 'cron' : 'interval';
+    this.interval = Number(config.interval) > 0 ? Number(config.interval) * 1000 : 60000;
+    this.cron = null;
+    this.watermarkColumn = (config.watermarkColumn || '').trim();
+    this.initialWatermark = config.initialWatermark === undefined || config.initialWatermark === '' ? '0' : String(config.initialWatermark);
+    this.contextStore = config.contextStore || undefined;
+    this.output = config.output === 'row' ? 'row' : 'batch';
+    this.timeout = Number(config.timeout) > 0 ? Number(config.timeout) : 0;
+    this.inFlight = new Set(); // Statements that can be cancelled on timeout or close
+    this.closing = false;
+    this.polling = false;
+    this.skipped = 0;
+    this.timer = null;
+
+    // Numeric initial marks are bound as numbers, anything else (e.g. a timestamp) as text
+    const initial = /^-?\d+(\.\d+)?$/.test(this.initialWatermark.trim()) && Number.isSafeInteger(Math.trunc(Number(this.initialWatermark)))
+      ? Number(this.initialWatermark)
+      : this.initialWatermark;
+
+    // The mark is kept in node context, so a persistent context store carries it across restarts
+    const readWatermark = () => new Promise((resolve, reject) => {
+      this.context().get('watermark', this.contextStore, (error, value) => error ? reject(error) : resolve(value));
+    });
+    const writeWatermark = (value) => new Promise((resolve, reject) => {
+      const stored = typeof value === 'bigint' ? String(value) : value;
+      this.context().set('watermark', stored, this.contextStore, error => error ? reject(error) : resolve());
+    });
+
+    // Run the query once for rows past the high-water mark. A poll that is due while the
+    // previous one is still running is skipped rather than run alongside it.
+    this.poll = async function(message) {
+      if (this.polling) {
+        this.skipped += 1;
+        this.status({fill: 'yellow', shape: 'ring', text: `skipped, previous poll still running (${this.skipped})`});
+        return false;
+      }
 
+      this.polling = true;
+      let lease;
       try {
-        const payloadData = parsePayload(message.payload);
-        if (payloadData) {
-          catalog = payloadData.catalog || catalog;
-          schema = payloadData.schema || schema;
-          procedure = payloadData.procedure || procedure;
-          parameters = payloadData.parameters || parameters;
+        if (message && message.watermark !== undefined) {
+          await writeWatermark(message.watermark);
         }
-      } catch (error) {
-        this.activeQueries -= 1;
-        this.status({fill: "red", shape: "ring", text: error.message});
-        await connection.close().catch(() => {});
-        if (done) {
-          done(error);
-        } else {
-          this.error(error, message);
+        const stored = await readWatermark();
+        const watermark = stored === undefined || stored === null ? initial : stored;
+
+        // :watermark markers (or a single ? marker) take the current mark
+        const bound = bindNamedParameters(this.query, name => name === 'watermark' ? watermark : undefined);
+        const sql = bound ? bound.sql : this.query;
+        const parameters = bound ? bound.parameters : [watermark];
+
+        await this.poolNode.createPool();
+        this.status({fill: 'blue', shape: 'dot', text: 'polling'});
+        lease = await leaseConnection(this.poolNode, {});
+        const started = Date.now();
+        let result;
+        try {
+          result = await runStatement(this, lease, statementTimeout(this, message), options => lease.connection.query(sql, parameters, options));
+        } catch (error) {
+          this.poolNode.audit(this, message, { statement: sql, parameters: parameters, started: started, error: error });
+          await lease.fail();
+          lease = null;
+          throw error;
         }
-        return;
-      }
+        const slow = this.poolNode.audit(this, message, { statement: sql, parameters: parameters, started: started, result: result });
+        await lease.release();
+        lease = null;
 
-      // Execute procedure with retry on connection closed
-      let result;
-      try {
-        result = await connection.callProcedure(catalog, schema, procedure, parameters);
-      } catch (error) {
-        if (isConnectionClosedError(error)) {
-          // Retry with new connection
-          try {
-            await connection.close().catch(() => {});
-            connection = await this.poolNode.connect();
-            result = await connection.callProcedure(catalog, schema, procedure, parameters);
-          } catch (retryError) {
-            this.activeQueries -= 1;
-            const retryErrorMessage = retryError.odbcErrors && retryError.odbcErrors[0] 
-              ? retryError.odbcErrors[0].message 
-              : retryError.message;
-            this.error(retryError);
-            this.status({fill: "red", shape: "ring", text: retryErrorMessage});
-            await connection.close().catch(() => {});
-            if (done) {
-              done(retryError);
-            } else {
-              this.error(retryError, message);
-            }
-            return;
+        const all = Array.from(result);
+        if (all.length > 0 && !(this.watermarkColumn in all[0])) {
+          throw new Error(`Column ${this.watermarkColumn} is not in the result`);
+        }
+        // Only rows past the mark are new, whatever the query's own condition
+        const rows = all.filter(row => {
+          const value = row[this.watermarkColumn];
+          return value !== undefined && value !== null && compareWatermarks(value, watermark) > 0;
+        });
+        const next = rows.reduce((mark, row) => compareWatermarks(row[this.watermarkColumn], mark) > 0 ? row[this.watermarkColumn] : mark, watermark);
+
+        if (rows.length > 0) {
+          if (this.output === 'row') {
+            rows.forEach(row => {
+              const rowMessage = message ? RED.util.cloneMessage(message) : {};
+              rowMessage.payload = row;
+              rowMessage.watermark = row[this.watermarkColumn];
+              this.send(rowMessage);
+            });
+          } else {
+            const batch = message || {};
+            batch.payload = rows;
+            batch.watermark = next;
+            this.send(batch);
           }
-        } else {
-          this.activeQueries -= 1;
-          const errorMessage = error.odbcErrors && error.odbcErrors[0] 
-            ? error.odbcErrors[0].message 
-            : error.message;
-          handleNodeError(this, { ...error, message: errorMessage }, message, done);
-          await connection.close().catch(() => {});
-          return;
+          // Stored after sending: rows may be sent again after a crash, but never lost
+          await writeWatermark(next);
+        }
+
+        this.status({fill: slow ? 'yellow' : 'green', shape: 'dot', text: `${rows.length} new rows, mark ${next}${slow ? ', slow' : ''}`});
+        return true;
+      } finally {
+        if (lease) {
+          await lease.fail();
         }
+        this.polling = false;
       }
+    };
 
-      await connection.close().catch(() => {});
-      this.activeQueries -= 1;
-      message.payload = result;
-      send(message);
-      this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+    // Scheduled polls report errors on the node; they have no message to fail
+    const tick = () => {
+      this.poll(null).catch(error => {
+        if (!this.closing) {
+          this.status({fill: 'red', shape: 'ring', text: error.message});
+          this.error(error);
+        }
+      });
+    };
+
+    // An input message polls right away; msg.watermark replaces the stored mark first
+    this.on('input', async (message, send, done) => {
+      try {
+        await this.poll(message);
+      } catch (error) {
+        handleNodeError(this, error, message, done);
+        return;
+      }
       if (done) {
         done();
       }
-    }
+    });
 
-    this.checkPool = async function(message, send, done) {
-      if (this.poolNode.connecting) {
-        setTimeout(() => {
-          this.checkPool(message, send, done);
-        }, 1000);
-        return;
+    try {
+      if (!this.poolNode) {
+        throw new Error('No connection configured');
       }
-
-      if (this.poolNode.pool == null) {
-        this.poolNode.connecting = true;
+      if (!this.watermarkColumn) {
+        throw new Error('No high-water mark column configured');
       }
-      await this.runProcedure(message, send, done);
+      if (this.schedule === 'cron') {
+        this.cron = parseCron(config.cron);
+        // Check the schedule at the start of every minute
+        const schedule = () => {
+          this.timer = setTimeout(() => {
+            if (cronMatches(this.cron, new Date())) {
+              tick();
+            }
+            schedule();
+          }, 60000 - Date.now() % 60000);
+        };
+        schedule();
+      } else {
+        this.timer = setInterval(tick, this.interval);
+      }
+    } catch (error) {
+      this.status({fill: 'red', shape: 'ring', text: error.message});
+      this.error(error);
     }
-    
-    this.on('input', this.runProcedure);
-    this.status({fill: 'green', shape: 'dot', text: getStatusText()});
+
+    this.on('close', () => {
+      this.closing = true;
+      clearTimeout(this.timer);
+      clearInterval(this.timer);
+      this.timer = null;
+      cancelStatements(this);
+    });
   }
 
-  RED.nodes.registerType("odbc-pooling-procedure", odbcProcedure);
+  RED.nodes.registerType("odbc-pooling-poll", odbcPoll);
 }
@@ -5,6 +5,43 @@ const should = require('should');
 // Load the node - it will require 'odbc', but we'll mock it in tests
 const odbcNode = require('../odbc.js');
 
+// Build an array shaped like an odbc result (rows plus count/columns/statement)
+function odbcResult(rows, extra) {
+  const result = rows.slice();
+  result.count = rows.length;
+  result.columns = rows.length > 0 ? Object.keys(rows[0]).map(name => ({ name })) : [];
+  result.statement = 'SELECT';
+  return Object.assign(result, extra);
+}
+
+// Load a pool (n1) and a node (n2, a query node unless nodeConfig says otherwise) wired
+// to a helper (n3), plus any extra nodes, and pass the three nodes to the callback
+function loadFlow(poolConfig, nodeConfig, extraNodes, callback) {
+  const flow = [
+    Object.assign({ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' }, poolConfig),
+    Object.assign({ id: 'n2', type: 'odbc-pooling-query', connection: 'n1', wires: [['n3']] }, nodeConfig),
+    { id: 'n3', type: 'helper' }
+  ].concat(extraNodes);
+  helper.load(odbcNode, flow, function() {
+    callback(helper.getNode('n1'), helper.getNode('n2'), helper.getNode('n3'));
+  });
+}
+
+// Send the messages to a node one after another, waiting for each output message on the
+// helper node, and pass the collected outputs to the callback
+function sendInTurn(node, out, messages, callback) {
+  const outputs = [];
+  out.on('input', function(msg) {
+    outputs.push(msg);
+    if (outputs.length < messages.length) {
+      node.receive(messages[outputs.length]);
+    } else {
+      callback(outputs);
+    }
+  });
+  node.receive(messages[0]);
+}
+
 describe('ODBC Nodes', function() {
   beforeEach(function(done) {
     helper.startServer(done);
@@ -330,5 +367,1925 @@ describe('ODBC Nodes', function() {
       });
     });
   });
-});
+  describe('ODBC query node result modes', function() {
+    function loadQueryNode(nodeConfig, result, callback) {
+      loadFlow({}, Object.assign({ query: 'SELECT 1' }, nodeConfig), [], function(n1, n2, n3) {
+        const mockConnection = {
+          query: sinon.stub().resolves(result),
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(mockConnection) };
+        callback(n2, n3);
+      });
+    }
+
+    it('should write all rows to the configured property', function(done) {
+      loadQueryNode({ outField: 'data.rows' }, odbcResult([{ ID: 1 }, { ID: 2 }]), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.data.rows.should.have.length(2);
+          msg.payload.should.eql({ note: 'keep' });
+          done();
+        });
+        n2.receive({ payload: { note: 'keep' } });
+      });
+    });
+
+    it('should return the first row only', function(done) {
+      loadQueryNode({ resultMode: 'first' }, odbcResult([{ ID: 1 }, { ID: 2 }]), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.eql({ ID: 1 });
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should return a single scalar value', function(done) {
+      loadQueryNode({ resultMode: 'value' }, odbcResult([{ VALUE: 42, OTHER: 1 }]), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.equal(42);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should return null for a single value when there are no rows', function(done) {
+      loadQueryNode({ resultMode: 'value' }, odbcResult([]), function(n2, n3) {
+        n3.on('input', function(msg) {
+          should(msg.payload).be.null();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should return the affected row count', function(done) {
+      loadQueryNode({ resultMode: 'count' }, odbcResult([], { count: 7 }), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.equal(7);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should return a metadata envelope', function(done) {
+      loadQueryNode({ resultMode: 'envelope' }, odbcResult([{ ID: 1 }]), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.rows.should.eql([{ ID: 1 }]);
+          msg.payload.columns.should.eql([{ name: 'ID' }]);
+          msg.payload.count.should.equal(1);
+          msg.payload.statement.should.equal('SELECT');
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC query node streaming', function() {
+    it('should send one message per batch with parts for a join node', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-query', connection: 'n1', query: 'SELECT * FROM big', streaming: true, fetchSize: 2, wires: [['n3']] },
+        { id: 'n3', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n2 = helper.getNode('n2');
+        const n3 = helper.getNode('n3');
+        const cursor = {
+          noData: false,
+          fetch: sinon.stub(),
+          close: sinon.stub().resolves()
+        };
+        cursor.fetch.onCall(0).resolves([{ ID: 1 }, { ID: 2 }]);
+        cursor.fetch.onCall(1).resolves([{ ID: 3 }]);
+        cursor.fetch.onCall(2).resolves([]);
+        const queryStub = sinon.stub().resolves(cursor);
+        const mockConnection = {
+          query: queryStub,
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(mockConnection) };
+
+        const received = [];
+        n3.on('input', function(msg) {
+          received.push(msg);
+          if (!msg.complete) {
+            return;
+          }
+          try {
+            received.should.have.length(2);
+            received[0].payload.should.eql([{ ID: 1 }, { ID: 2 }]);
+            received[1].payload.should.eql([{ ID: 3 }]);
+            received[0].parts.id.should.equal(received[1].parts.id);
+            received[1].parts.should.have.property('index', 1);
+            received[1].parts.should.have.property('count', 2);
+            queryStub.firstCall.args[2].should.eql({ cursor: true, fetchSize: 2 });
+            setImmediate(function() {
+              cursor.close.called.should.be.true();
+              done();
+            });
+          } catch (error) {
+            done(error);
+          }
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should not fetch the next batch before a slow flow acknowledges the previous one', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-query', connection: 'n1', query: 'SELECT * FROM big', streaming: true, fetchSize: 2, streamAck: true, wires: [['n3']] },
+        { id: 'n3', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n2 = helper.getNode('n2');
+        const n3 = helper.getNode('n3');
+        const cursor = { noData: false, fetch: sinon.stub(), close: sinon.stub().resolves() };
+        cursor.fetch.onCall(0).resolves([{ ID: 1 }, { ID: 2 }]);
+        cursor.fetch.onCall(1).resolves([{ ID: 3 }, { ID: 4 }]);
+        cursor.fetch.onCall(2).resolves([{ ID: 5 }]);
+        const queryStub = sinon.stub().resolves(cursor);
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: queryStub, close: sinon.stub().resolves() }) };
+
+        const received = [];
+        n3.on('input', function(msg) {
+          received.push(msg);
+          try {
+            cursor.fetch.callCount.should.equal(received.length);
+            if (msg.complete) {
+              received.map(batch => batch.payload.length).should.eql([2, 2, 1]);
+              should.not.exist(msg.streamAck);
+              queryStub.calledOnce.should.be.true();
+              done();
+              return;
+            }
+            msg.streamAck.should.equal(msg.parts.id);
+          } catch (error) {
+            done(error);
+            return;
+          }
+          // A slow flow: the batch is handed back only after its work is done
+          setTimeout(function() {
+            try {
+              cursor.fetch.callCount.should.equal(received.length);
+              n2.receive(msg);
+            } catch (error) {
+              done(error);
+            }
+          }, 30);
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC transaction node', function() {
+    function mockTransactionConnection(queryStub) {
+      return {
+        beginTransaction: sinon.stub().resolves(),
+        commit: sinon.stub().resolves(),
+        rollback: sinon.stub().resolves(),
+        query: queryStub,
+        close: sinon.stub().resolves()
+      };
+    }
+
+    it('should run queries on the pinned connection and commit', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-transaction', connection: 'n1', mode: 'begin', wires: [['n3']] },
+        { id: 'n3', type: 'odbc-pooling-query', connection: 'n1', query: 'INSERT INTO t VALUES (1)', wires: [['n4']] },
+        { id: 'n4', type: 'odbc-pooling-query', connection: 'n1', query: 'UPDATE t SET v = 2', wires: [['n5']] },
+        { id: 'n5', type: 'odbc-pooling-transaction', connection: 'n1', mode: 'commit', wires: [['n6']] },
+        { id: 'n6', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const poolNode = helper.getNode('n1');
+        const connection = mockTransactionConnection(sinon.stub().resolves(odbcResult([])));
+        poolNode.pool = { connect: sinon.stub().resolves(connection) };
+
+        helper.getNode('n6').on('input', function(msg) {
+          try {
+            poolNode.pool.connect.calledOnce.should.be.true();
+            connection.beginTransaction.calledOnce.should.be.true();
+            connection.commit.calledOnce.should.be.true();
+            connection.rollback.called.should.be.false();
+            msg.should.not.have.property('transaction');
+            poolNode.transactions.size.should.equal(0);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+        helper.getNode('n2').receive({ payload: {} });
+      });
+    });
+
+    it('should roll back when a query in the transaction fails', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-transaction', connection: 'n1', mode: 'begin', wires: [['n3']] },
+        { id: 'n3', type: 'odbc-pooling-query', connection: 'n1', query: 'INSERT INTO t VALUES (1)' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const poolNode = helper.getNode('n1');
+        const n3 = helper.getNode('n3');
+        const connection = mockTransactionConnection(sinon.stub().rejects(new Error('constraint violation')));
+        poolNode.pool = { connect: sinon.stub().resolves(connection) };
+
+        n3.once('call:error', function() {
+          setImmediate(function() {
+            try {
+              connection.rollback.calledOnce.should.be.true();
+              connection.commit.called.should.be.false();
+              poolNode.transactions.size.should.equal(0);
+              done();
+            } catch (error) {
+              done(error);
+            }
+          });
+        });
+        helper.getNode('n2').receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC query node named parameters', function() {
+    function loadNamedQuery(nodeConfig, callback) {
+      loadFlow({}, Object.assign({ z: 'f1' }, nodeConfig), [], function(n1, n2, n3) {
+        const queryStub = sinon.stub().resolves(odbcResult([]));
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: queryStub, close: sinon.stub().resolves() }) };
+        callback(n2, n3, queryStub);
+      });
+    }
+
+    it('should translate named markers and bind values from payload.parameters', function(done) {
+      const query = "SELECT * FROM t WHERE id = :id AND site = @site AND note <> ':skip' AND x::int = $id -- :comment";
+      loadNamedQuery({ query: query }, function(n2, n3, queryStub) {
+        n3.on('input', function() {
+          queryStub.firstCall.args[0].should.equal("SELECT * FROM t WHERE id = ? AND site = ? AND note <> ':skip' AND x::int = ? -- :comment");
+          queryStub.firstCall.args[1].should.eql([7, 'A', 7]);
+          done();
+        });
+        n2.receive({ payload: { parameters: { id: 7, site: 'A' } } });
+      });
+    });
+
+    it('should bind named parameters from flow context', function(done) {
+      loadNamedQuery({ query: 'SELECT * FROM t WHERE site = :site', parameterSource: 'flow' }, function(n2, n3, queryStub) {
+        n2.context().flow.set('site', 'PLANT1');
+        n3.on('input', function() {
+          queryStub.firstCall.args[1].should.eql(['PLANT1']);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should report every missing named parameter', function(done) {
+      loadNamedQuery({ query: 'SELECT * FROM t WHERE id = :id AND site = :site' }, function(n2, n3, queryStub) {
+        n2.once('call:error', function(call) {
+          call.args[0].message.should.equal('Missing value for named parameter(s): id, site');
+          queryStub.called.should.be.false();
+          done();
+        });
+        n2.receive({ payload: { parameters: {} } });
+      });
+    });
+
+    it('should run SQL unchanged when no named values are supplied', function(done) {
+      const batch = 'DECLARE @n INT = 5; SELECT @n';
+      loadNamedQuery({ query: batch }, function(n2, n3, queryStub) {
+        n3.on('input', function() {
+          queryStub.firstCall.args[0].should.equal(batch);
+          should.not.exist(queryStub.firstCall.args[1]);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should leave dollar-quoted bodies alone', function(done) {
+      const query = 'SELECT $body$ :skip $x $body$ AS t, $$ @skip $$ AS u, :id AS id';
+      loadNamedQuery({ query: query }, function(n2, n3, queryStub) {
+        n3.on('input', function() {
+          queryStub.firstCall.args[0].should.equal('SELECT $body$ :skip $x $body$ AS t, $$ @skip $$ AS u, ? AS id');
+          queryStub.firstCall.args[1].should.eql([1]);
+          done();
+        });
+        n2.receive({ payload: { parameters: { id: 1 } } });
+      });
+    });
+
+    it('should honour MySQL backslash-escaped quotes', function(done) {
+      const query = "SELECT 'it\\'s' AS a WHERE id = :id";
+      loadNamedQuery({ query: query }, function(n2, n3, queryStub) {
+        n3.on('input', function() {
+          queryStub.firstCall.args[0].should.equal("SELECT 'it\\'s' AS a WHERE id = ?");
+          queryStub.firstCall.args[1].should.eql([1]);
+          done();
+        });
+        n2.receive({ payload: { parameters: { id: 1 } } });
+      });
+    });
+  });
+  describe('ODBC query node typed inputs', function() {
+    it('should read the query and parameters from msg properties and leave the payload alone', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        {
+          id: 'n2', type: 'odbc-pooling-query', connection: 'n1',
+          queryType: 'msg', queryProperty: 'sql',
+          parameters: 'params', parametersType: 'msg',
+          payloadOverride: false, outField: 'result',
+          wires: [['n3']]
+        },
+        { id: 'n3', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n2 = helper.getNode('n2');
+        const queryStub = sinon.stub().resolves(odbcResult([{ ID: 1 }]));
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: queryStub, close: sinon.stub().resolves() }) };
+
+        helper.getNode('n3').on('input', function(msg) {
+          queryStub.firstCall.args[0].should.equal('SELECT * FROM t WHERE id = ?');
+          queryStub.firstCall.args[1].should.eql([1]);
+          msg.payload.should.equal('sensor data');
+          done();
+        });
+        n2.receive({ sql: 'SELECT * FROM t WHERE id = ?', params: [1], payload: 'sensor data' });
+      });
+    });
+
+    it('should use JSON parameters configured on the node', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-query', connection: 'n1', query: 'SELECT * FROM t WHERE id = ?', parameters: '[5]', parametersType: 'json', wires: [['n3']] },
+        { id: 'n3', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n2 = helper.getNode('n2');
+        const queryStub = sinon.stub().resolves(odbcResult([]));
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: queryStub, close: sinon.stub().resolves() }) };
+
+        helper.getNode('n3').on('input', function() {
+          queryStub.firstCall.args[1].should.eql([5]);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC bulk insert node', function() {
+    it('should insert rows in chunks inside one transaction', function(done) {
+      const bulkInsert = { type: 'odbc-pooling-bulk-insert', table: 'APP.READINGS', columns: 'ID, SITE=location.site', batchSize: 2 };
+      loadFlow({}, bulkInsert, [], function(n1, n2, n3) {
+        const queryStub = sinon.stub().resolves(odbcResult([]));
+        const connection = {
+          beginTransaction: sinon.stub().resolves(),
+          commit: sinon.stub().resolves(),
+          rollback: sinon.stub().resolves(),
+          query: queryStub,
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+
+        n3.on('input', function(msg) {
+          try {
+            queryStub.callCount.should.equal(2);
+            queryStub.firstCall.args[0].should.equal('INSERT INTO APP.READINGS (ID, SITE) VALUES (?, ?), (?, ?)');
+            queryStub.firstCall.args[1].should.eql([1, 'A', 2, 'B']);
+            queryStub.secondCall.args[1].should.eql([3, null]);
+            connection.beginTransaction.calledOnce.should.be.true();
+            connection.commit.calledOnce.should.be.true();
+            msg.payload.should.have.properties({ inserted: 3, chunks: 2, failed: [] });
+            msg.payload.should.have.property('elapsed');
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+        n2.receive({ payload: [{ ID: 1, location: { site: 'A' } }, { ID: 2, location: { site: 'B' } }, { ID: 3 }] });
+      });
+    });
+
+    it('should roll skipped chunks back to a savepoint so the transaction can still commit', function(done) {
+      const bulkInsert = { type: 'odbc-pooling-bulk-insert', table: 'READINGS', columns: 'ID', batchSize: 2, continueOnError: true };
+      loadFlow({}, bulkInsert, [], function(n1, n2, n3) {
+        // Like PostgreSQL: after a failed statement everything but a rollback fails
+        let aborted = false;
+        const statements = [];
+        const queryStub = sinon.stub().callsFake(function(sql, parameters) {
+          statements.push(sql);
+          if (sql === 'ROLLBACK TO SAVEPOINT odbc_pooling_chunk') {
+            aborted = false;
+          } else if (aborted) {
+            return Promise.reject(new Error('current transaction is aborted'));
+          } else if (parameters && parameters[0] === 3) {
+            aborted = true;
+            return Promise.reject(new Error('duplicate key'));
+          }
+          return Promise.resolve(odbcResult([]));
+        });
+        const connection = {
+          beginTransaction: sinon.stub().resolves(),
+          commit: sinon.stub().callsFake(() => aborted ? Promise.reject(new Error('current transaction is aborted')) : Promise.resolve()),
+          rollback: sinon.stub().resolves(),
+          query: queryStub,
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+
+        n3.on('input', function(msg) {
+          try {
+            statements.should.eql([
+              'SAVEPOINT odbc_pooling_chunk',
+              'INSERT INTO READINGS (ID) VALUES (?), (?)',
+              'SAVEPOINT odbc_pooling_chunk',
+              'INSERT INTO READINGS (ID) VALUES (?), (?)',
+              'ROLLBACK TO SAVEPOINT odbc_pooling_chunk',
+              'SAVEPOINT odbc_pooling_chunk',
+              'INSERT INTO READINGS (ID) VALUES (?)'
+            ]);
+            connection.commit.calledOnce.should.be.true();
+            connection.rollback.called.should.be.false();
+            msg.payload.should.have.properties({ inserted: 3, chunks: 3 });
+            msg.payload.failed.should.eql([{ chunk: 1, offset: 2, count: 2, error: 'duplicate key' }]);
+            done();
+          } catch (error) {
+            done(error);
+          }
+        });
+        n2.receive({ payload: [{ ID: 1 }, { ID: 2 }, { ID: 3 }, { ID: 4 }, { ID: 5 }] });
+      });
+    });
+
+    it('should reject an invalid table name', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-bulk-insert', connection: 'n1', table: 'READINGS' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n2 = helper.getNode('n2');
+        n2.once('call:error', function(call) {
+          call.args[0].should.have.property('code', 'ODBC_INVALID_IDENTIFIER');
+          done();
+        });
+        n2.receive({ payload: [{ ID: 1 }], table: 'READINGS; DROP TABLE X' });
+      });
+    });
+
+    it('should roll back the message transaction when the rows are rejected', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n4', type: 'odbc-pooling-transaction', connection: 'n1', mode: 'begin', wires: [['n2']] },
+        { id: 'n2', type: 'odbc-pooling-bulk-insert', connection: 'n1', table: 'READINGS' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n1 = helper.getNode('n1');
+        const connection = {
+          beginTransaction: sinon.stub().resolves(),
+          commit: sinon.stub().resolves(),
+          rollback: sinon.stub().resolves(),
+          query: sinon.stub().resolves(odbcResult([])),
+          close: sinon.stub().resolves()
+        };
+        n1.pool = { connect: sinon.stub().resolves(connection) };
+        helper.getNode('n2').once('call:error', function(call) {
+          const error = call.args[0];
+          setImmediate(function() {
+            try {
+              error.message.should.equal('msg.payload must be an array of rows');
+              connection.rollback.calledOnce.should.be.true();
+              n1.transactions.size.should.equal(0);
+              done();
+            } catch (err) {
+              done(err);
+            }
+          });
+        });
+        helper.getNode('n4').receive({ payload: { ID: 1 } });
+      });
+    });
+  });
+  describe('ODBC pool schema endpoints', function() {
+    it('should list tables through the pool', function(done) {
+      const flow = [{ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' }];
+      helper.load(odbcNode, flow, function() {
+        const n1 = helper.getNode('n1');
+        const tablesStub = sinon.stub().resolves([{ TABLE_CAT: null, TABLE_SCHEM: 'APP', TABLE_NAME: 'READINGS', TABLE_TYPE: 'TABLE' }]);
+        n1.pool = { connect: sinon.stub().resolves({ tables: tablesStub, close: sinon.stub().resolves() }) };
+
+        helper.request()
+          .get('/odbc-pooling-pool/n1/schema/tables?schema=APP')
+          .expect(200)
+          .end(function(error, res) {
+            if (error) {
+              return done(error);
+            }
+            tablesStub.firstCall.args.should.eql([null, 'APP', null, null]);
+            res.body.should.eql([{ catalog: null, schema: 'APP', name: 'READINGS', type: 'TABLE' }]);
+            done();
+          });
+      });
+    });
+
+    it('should return 404 for an unknown pool', function(done) {
+      helper.load(odbcNode, [], function() {
+        helper.request().get('/odbc-pooling-pool/missing/schema/tables').expect(404, done);
+      });
+    });
+  });
+  describe('ODBC pool test connection endpoint', function() {
+    const odbc = require('odbc');
+
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    it('should connect with the unsaved settings and report success', function(done) {
+      const connection = { close: sinon.stub().resolves() };
+      const connectStub = sinon.stub(odbc, 'connect').resolves(connection);
+      helper.load(odbcNode, [], function() {
+        helper.request()
+          .post('/odbc-pooling-pool/test')
+          .send({ connectionString: 'DSN=unsaved', loginTimeout: '5' })
+          .expect(200)
+          .end(function(error, res) {
+            if (error) {
+              return done(error);
+            }
+            connectStub.firstCall.args[0].should.eql({ connectionString: 'DSN=unsaved', loginTimeout: 5 });
+            res.body.should.have.only.keys('ok', 'elapsed');
+            res.body.should.have.property('ok', true);
+            connection.close.calledOnce.should.be.true();
+            done();
+          });
+      });
+    });
+
+    it('should report driver error details', function(done) {
+      const error = new Error('[odbc] Error connecting to the database');
+      error.odbcErrors = [{ state: '28000', code: 18456, message: 'Login failed for user' }];
+      sinon.stub(odbc, 'connect').rejects(error);
+      helper.load(odbcNode, [], function() {
+        helper.request()
+          .post('/odbc-pooling-pool/test')
+          .send({ connectionString: 'DSN=unsaved' })
+          .expect(200)
+          .end(function(requestError, res) {
+            if (requestError) {
+              return done(requestError);
+            }
+            res.body.should.have.properties({ ok: false, sqlState: '28000', nativeError: 18456, message: 'Login failed for user' });
+            res.body.odbcErrors.should.have.length(1);
+            done();
+          });
+      });
+    });
+  });
+  describe('ODBC pool metrics', function() {
+    function loadMeteredQuery(extraNodes, callback) {
+      loadFlow({ name: 'plant' }, { query: 'SELECT 1' }, extraNodes, function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: sinon.stub().resolves(odbcResult([{ ONE: 1 }])), close: sinon.stub().resolves() }) };
+        callback(n2, n3);
+      });
+    }
+
+    it('should count statements per query node in the metrics endpoint', function(done) {
+      loadMeteredQuery([], function(n2, n3) {
+        n3.on('input', function() {
+          helper.request().get('/odbc-pooling-pool/n1/metrics').expect(200).end(function(error, res) {
+            if (error) {
+              return done(error);
+            }
+            res.body.statements.should.eql({ count: 1, errors: 0 });
+            res.body.nodes.should.have.property('n2');
+            res.body.nodes.n2.latency.count.should.equal(1);
+            res.body.connections.checkedOut.should.equal(0);
+            done();
+          });
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should serve Prometheus text for all pools', function(done) {
+      loadMeteredQuery([], function(n2, n3) {
+        n3.on('input', function() {
+          helper.request().get('/odbc-pooling-pool/metrics?format=prometheus').expect(200).end(function(error, res) {
+            if (error) {
+              return done(error);
+            }
+            res.headers['content-type'].should.startWith('text/plain');
+            res.text.should.containEql('odbc_pool_statements_total{pool="n1",pool_name="plant"} 1');
+            res.text.should.containEql('odbc_node_statement_duration_ms_count{pool="n1",pool_name="plant",node="n2"');
+            done();
+          });
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should emit a snapshot from the stats node on input', function(done) {
+      const stats = [
+        { id: 'n4', type: 'odbc-pooling-stats', connection: 'n1', interval: 0, wires: [['n5']] },
+        { id: 'n5', type: 'helper' }
+      ];
+      loadMeteredQuery(stats, function() {
+        helper.getNode('n5').on('input', function(msg) {
+          msg.payload.should.have.properties({ id: 'n1', name: 'plant', open: true });
+          msg.payload.connections.should.have.properties({ checkedOut: 0, idle: 0 });
+          done();
+        });
+        helper.getNode('n4').receive({});
+      });
+    });
+  });
+  describe('ODBC query node timeouts', function() {
+    function loadTimedQuery(nodeConfig, queryStub, callback) {
+      loadFlow({}, Object.assign({ query: 'SELECT 1' }, nodeConfig), [], function(n1, n2) {
+        const connection = { query: queryStub, close: sinon.stub().resolves(), nativeClose: sinon.stub().resolves() };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+        callback(n2, connection);
+      });
+    }
+
+    it('should pass msg.timeout to the driver and flag its timeout error', function(done) {
+      const error = new Error('[odbc] Error executing the sql statement');
+      error.odbcErrors = [{ state: 'HYT00', code: 0, message: 'Query timeout expired' }];
+      const queryStub = sinon.stub().rejects(error);
+      loadTimedQuery({ timeout: 30 }, queryStub, function(n2, connection) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_QUERY_TIMEOUT');
+          call.args[0].attempts.should.equal(1);
+          queryStub.calledOnce.should.be.true();
+          queryStub.firstCall.args[2].should.eql({ timeout: 5 });
+          connection.nativeClose.called.should.be.false();
+          done();
+        });
+        n2.receive({ payload: {}, timeout: 5 });
+      });
+    });
+
+    it('should discard the connection when the driver ignores the timeout', function(done) {
+      this.timeout(5000);
+      loadTimedQuery({ timeout: 0.1 }, sinon.stub().returns(new Promise(() => {})), function(n2, connection) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_QUERY_TIMEOUT');
+          connection.nativeClose.calledOnce.should.be.true();
+          n2.poolNode.getMetrics().events.discarded.should.equal(1);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should cancel running statements when the node is closed', function(done) {
+      loadTimedQuery({}, sinon.stub().returns(new Promise(() => {})), function(n2, connection) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_QUERY_CANCELLED');
+          connection.nativeClose.calledOnce.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+        setTimeout(function() {
+          n2.close();
+        }, 20);
+      });
+    });
+  });
+  describe('ODBC pool initialization and wait queue', function() {
+    const odbc = require('odbc');
+
+    afterEach(function() {
+      sinon.restore();
+    });
 
+    it('should create the pool once for messages arriving during initialization', function(done) {
+      const connection = { query: sinon.stub().resolves(odbcResult([])), callProcedure: sinon.stub().resolves(odbcResult([])), close: sinon.stub().resolves() };
+      const poolStub = sinon.stub(odbc, 'pool').callsFake(function() {
+        return new Promise(resolve => setTimeout(() => resolve({ connect: sinon.stub().resolves(connection), close: sinon.stub().resolves() }), 50));
+      });
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n2', type: 'odbc-pooling-query', connection: 'n1', query: 'SELECT 1', wires: [['n4']] },
+        { id: 'n3', type: 'odbc-pooling-procedure', connection: 'n1', procedure: 'MYPROC', wires: [['n4']] },
+        { id: 'n4', type: 'helper' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        let received = 0;
+        const started = Date.now();
+        helper.getNode('n4').on('input', function() {
+          received += 1;
+          if (received === 3) {
+            poolStub.calledOnce.should.be.true();
+            (Date.now() - started).should.be.below(500);
+            done();
+          }
+        });
+        helper.getNode('n2').receive({ payload: {} });
+        helper.getNode('n2').receive({ payload: {} });
+        helper.getNode('n3').receive({ payload: {} });
+      });
+    });
+
+    function loadBoundedPool(poolConfig, callback) {
+      loadFlow(poolConfig, { query: 'SELECT 1' }, [], function(n1, n2) {
+        // No connection ever becomes free
+        n2.poolNode.pool = { connect: sinon.stub().returns(new Promise(() => {})), freeConnections: [] };
+        callback(n2);
+      });
+    }
+
+    it('should fail fast once max waiters are queued', function(done) {
+      loadBoundedPool({ maxWaiters: 1 }, function(n2) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_POOL_EXHAUSTED');
+          n2.poolNode.getMetrics().waiters.should.equal(1);
+          done();
+        });
+        n2.receive({ payload: {} });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should fail after the max wait time', function(done) {
+      loadBoundedPool({ maxWaitTime: 0.05 }, function(n2) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_POOL_EXHAUSTED');
+          call.args[0].message.should.equal('Pool exhausted: no connection available after 0.05 seconds');
+          n2.poolNode.getMetrics().events.exhausted.should.equal(1);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC query node retry policy', function() {
+    function deadlock() {
+      const error = new Error('[odbc] Error executing the sql statement');
+      error.odbcErrors = [{ state: '40001', code: 1205, message: 'Transaction was deadlocked' }];
+      return error;
+    }
+
+    function loadRetryingQuery(nodeConfig, queryStub, callback) {
+      loadFlow({ retryAttempts: 3, retryDelay: 0 }, nodeConfig, [], function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().callsFake(() => Promise.resolve({ query: queryStub, close: sinon.stub().resolves() })) };
+        callback(n2, n3);
+      });
+    }
+
+    it('should retry a read on a fresh connection and report the retries', function(done) {
+      const queryStub = sinon.stub();
+      queryStub.onFirstCall().rejects(deadlock());
+      queryStub.onSecondCall().resolves(odbcResult([{ ID: 1 }]));
+      loadRetryingQuery({ query: 'SELECT * FROM t' }, queryStub, function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.retries.should.equal(1);
+          msg.payload.should.have.length(1);
+          n2.poolNode.pool.connect.calledTwice.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should not retry a statement that changes data', function(done) {
+      const queryStub = sinon.stub().rejects(deadlock());
+      loadRetryingQuery({ query: 'INSERT INTO t VALUES (1)' }, queryStub, function(n2) {
+        n2.once('call:error', function(call) {
+          call.args[0].attempts.should.equal(1);
+          queryStub.calledOnce.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should retry statements that change data when the node allows it', function(done) {
+      const queryStub = sinon.stub().rejects(deadlock());
+      loadRetryingQuery({ query: 'INSERT INTO t VALUES (1)', retryUnsafe: true }, queryStub, function(n2) {
+        n2.once('call:error', function(call) {
+          call.args[0].attempts.should.equal(3);
+          queryStub.calledThrice.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+  describe('ODBC pool credentials and environment variables', function() {
+    const odbc = require('odbc');
+
+    beforeEach(function() {
+      process.env.ODBC_TEST_HOST = 'db1.example.com';
+    });
+
+    afterEach(function() {
+      delete process.env.ODBC_TEST_HOST;
+      sinon.restore();
+    });
+
+    it('should expand environment variables and merge the credentials into the connection string', function(done) {
+      const poolStub = sinon.stub(odbc, 'pool').resolves({ connect: sinon.stub(), close: sinon.stub().resolves() });
+      const flow = [{ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'SERVER=${ODBC_TEST_HOST};UID=old;DATABASE=plant' }];
+      const credentials = { n1: { user: 'reader', password: 'se;cret' } };
+      helper.load(odbcNode, flow, credentials, function() {
+        const n1 = helper.getNode('n1');
+        n1.createPool().then(function() {
+          poolStub.firstCall.args[0].connectionString.should.equal('SERVER=db1.example.com;DATABASE=plant;UID=reader;PWD={se;cret};');
+          n1.poolConfig.connectionString.should.not.containEql('cret');
+          done();
+        }).catch(done);
+      });
+    });
+
+    it('should refuse to create the pool when an environment variable is missing', function(done) {
+      const poolStub = sinon.stub(odbc, 'pool').resolves({});
+      const flow = [{ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'SERVER=${ODBC_TEST_MISSING};' }];
+      helper.load(odbcNode, flow, function() {
+        helper.getNode('n1').createPool().then(function() {
+          done(new Error('pool should not be created'));
+        }, function(error) {
+          error.code.should.equal('ODBC_MISSING_ENV');
+          poolStub.called.should.be.false();
+          done();
+        });
+      });
+    });
+
+    it('should test the connection with the saved password when it is unchanged', function(done) {
+      const connectStub = sinon.stub(odbc, 'connect').resolves({ close: sinon.stub().resolves() });
+      const flow = [{ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' }];
+      helper.load(odbcNode, flow, { n1: { user: 'reader', password: 'saved' } }, function() {
+        helper.request()
+          .post('/odbc-pooling-pool/test')
+          .send({ id: 'n1', connectionString: 'SERVER=${ODBC_TEST_HOST}', user: 'writer', password: '__PWRD__' })
+          .expect(200)
+          .end(function(error) {
+            if (error) {
+              return done(error);
+            }
+            connectStub.firstCall.args[0].connectionString.should.equal('SERVER=db1.example.com;UID=writer;PWD=saved;');
+            done();
+          });
+      });
+    });
+  });
+  describe('ODBC pool connection validation', function() {
+    // The stubs are kept on `stubs` because checkout wraps query and close
+    function mockConnection(query) {
+      const stubs = { query: query, close: sinon.stub().resolves() };
+      return { query: stubs.query, close: stubs.close, nativeClose: sinon.stub().resolves(), stubs: stubs };
+    }
+
+    function loadValidatedQuery(poolConfig, connections, callback) {
+      loadFlow(poolConfig, { query: 'SELECT * FROM t' }, [], function(n1, n2, n3) {
+        const connect = sinon.stub();
+        connections.forEach((connection, index) => connect.onCall(index).resolves(connection));
+        n2.poolNode.pool = { connect: connect };
+        callback(n2, n3);
+      });
+    }
+
+    it('should replace a connection that fails the validation query', function(done) {
+      const dead = mockConnection(sinon.stub().rejects(new Error('Communication link failure')));
+      const alive = mockConnection(sinon.stub().resolves(odbcResult([{ ID: 1 }])));
+      loadValidatedQuery({ validation: 'query', validateAfter: 0 }, [dead, alive], function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.have.length(1);
+          dead.stubs.query.firstCall.args[0].should.equal('SELECT 1');
+          dead.nativeClose.calledOnce.should.be.true();
+          dead.stubs.close.called.should.be.false();
+          alive.stubs.query.firstCall.args[0].should.equal('SELECT 1');
+          n2.poolNode.getMetrics().events.validationFailed.should.equal(1);
+          n2.poolNode.getMetrics().connections.checkedOut.should.equal(0);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should replace a connection the driver reports as dead', function(done) {
+      const dead = mockConnection(sinon.stub().resolves(odbcResult([])));
+      dead.connected = false;
+      const alive = mockConnection(sinon.stub().resolves(odbcResult([{ ID: 1 }])));
+      loadValidatedQuery({ validation: 'dead', validateAfter: 0 }, [dead, alive], function(n2, n3) {
+        n3.on('input', function() {
+          dead.stubs.query.called.should.be.false();
+          dead.nativeClose.calledOnce.should.be.true();
+          alive.stubs.query.calledOnce.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should ping idle connections and replace those that do not answer', function(done) {
+      helper.load(odbcNode, [{ id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test', keepaliveInterval: 60 }], function() {
+        const n1 = helper.getNode('n1');
+        const healthy = mockConnection(sinon.stub().resolves(odbcResult([])));
+        const dropped = mockConnection(sinon.stub().rejects(new Error('Connection reset by peer')));
+        const recent = mockConnection(sinon.stub().resolves(odbcResult([])));
+        healthy.odbcPoolingLastUsed = dropped.odbcPoolingLastUsed = Date.now() - 120000;
+        recent.odbcPoolingLastUsed = Date.now();
+        n1.pool = { freeConnections: [healthy, dropped, recent], poolSize: 3, increasePoolSize: sinon.stub() };
+
+        n1.keepalive().then(function() {
+          healthy.stubs.query.calledOnce.should.be.true();
+          healthy.stubs.close.calledOnce.should.be.true();
+          dropped.nativeClose.calledOnce.should.be.true();
+          recent.stubs.query.called.should.be.false();
+          n1.pool.freeConnections.should.eql([recent]);
+          n1.pool.poolSize.should.equal(2);
+          n1.pool.increasePoolSize.calledWith(1).should.be.true();
+          n1.poolActiveConnections.should.equal(0);
+          done();
+        }).catch(done);
+      });
+    });
+  });
+  describe('ODBC error output', function() {
+    function constraintError() {
+      const error = new Error('[odbc] Error executing the sql statement');
+      error.odbcErrors = [{ state: '23000', code: 547, message: 'FOREIGN KEY constraint violated' }];
+      return error;
+    }
+
+    function loadFailing(nodeConfig, connection, callback) {
+      loadFlow({}, Object.assign({ wires: [['n3'], ['n4']] }, nodeConfig), [{ id: 'n4', type: 'helper' }], function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().resolves(Object.assign({ close: sinon.stub().resolves() }, connection)) };
+        callback(n2, n3, helper.getNode('n4'));
+      });
+    }
+
+    it('should send failed queries to the error output with structured details', function(done) {
+      const query = { type: 'odbc-pooling-query', query: 'INSERT INTO t VALUES (:id)', errorOutput: true, outputs: 2 };
+      loadFailing(query, { query: sinon.stub().rejects(constraintError()) }, function(n2, n3, n4) {
+        n3.on('input', function() {
+          done(new Error('nothing should reach the first output'));
+        });
+        n4.on('input', function(msg) {
+          msg.payload.should.eql({ parameters: { id: 42 } });
+          msg.error.should.have.properties({
+            message: 'FOREIGN KEY constraint violated',
+            code: null,
+            sqlState: '23000',
+            nativeError: 547,
+            statement: 'INSERT INTO t VALUES (?)',
+            attempts: 1,
+            retried: false
+          });
+          msg.error.parameters.should.eql([42]);
+          msg.error.odbcErrors.should.have.length(1);
+          msg.error.source.should.have.properties({ id: 'n2', type: 'odbc-pooling-query' });
+          done();
+        });
+        n2.receive({ payload: { parameters: { id: 42 } } });
+      });
+    });
+
+    it('should keep package error codes out of the SQLSTATE', function(done) {
+      const query = { type: 'odbc-pooling-query', query: 'SELECT 1', allowedStatements: 'SELECT', errorOutput: true, outputs: 2 };
+      loadFailing(query, { query: sinon.stub().resolves(odbcResult([])) }, function(n2, n3, n4) {
+        n4.on('input', function(msg) {
+          msg.error.should.have.properties({ code: 'ODBC_STATEMENT_REJECTED', sqlState: null, nativeError: null });
+          msg.error.odbcErrors.should.eql([]);
+          done();
+        });
+        n2.receive({ payload: { query: 'DELETE FROM t' } });
+      });
+    });
+
+    it('should redact parameter values when configured', function(done) {
+      const procedure = { type: 'odbc-pooling-procedure', schema: 'APP', procedure: 'SAVE', errorOutput: true, redactParameters: true, outputs: 2 };
+      loadFailing(procedure, { callProcedure: sinon.stub().rejects(constraintError()) }, function(n2, n3, n4) {
+        n4.on('input', function(msg) {
+          msg.error.statement.should.equal('APP.SAVE');
+          msg.error.parameters.should.eql(['[redacted]', '[redacted]']);
+          done();
+        });
+        n2.receive({ payload: { parameters: ['secret', 1] } });
+      });
+    });
+
+    it('should keep the procedure error an Error with the driver message', function(done) {
+      loadFailing({ type: 'odbc-pooling-procedure', procedure: 'SAVE' }, { callProcedure: sinon.stub().rejects(constraintError()) }, function(n2) {
+        n2.once('call:error', function(call) {
+          call.args[0].should.be.an.instanceOf(Error);
+          call.args[0].message.should.equal('FOREIGN KEY constraint violated');
+          call.args[0].odbcErrors.should.have.length(1);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+
+  describe('ODBC procedure parameters', function() {
+    const metadata = [
+      { PARAMETER_NAME: '@Id', PARAMETER_MODE: 'IN', DATA_TYPE: 'int', IS_RESULT: 'NO' },
+      { PARAMETER_NAME: '@Name', PARAMETER_MODE: 'INOUT', DATA_TYPE: 'nvarchar', IS_RESULT: 'NO' },
+      { PARAMETER_NAME: '@Total', PARAMETER_MODE: 'OUT', DATA_TYPE: 'decimal', IS_RESULT: 'NO' }
+    ];
+
+    function loadProcedure(nodeConfig, connection, callback) {
+      loadFlow({}, Object.assign({ type: 'odbc-pooling-procedure', schema: 'dbo', procedure: 'SAVE_ORDER' }, nodeConfig), [], function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().resolves(Object.assign({ close: sinon.stub().resolves() }, connection)) };
+        callback(n2, n3);
+      });
+    }
+
+    it('should order named parameters and return output parameters by name', function(done) {
+      const result = [{ line: 1 }];
+      result.parameters = [7, 'Widget', 19.5];
+      const callProcedure = sinon.stub().resolves(result);
+      const query = sinon.stub().resolves(metadata);
+      loadProcedure({ resultMode: 'procedure' }, { query: query, callProcedure: callProcedure }, function(n2, n3) {
+        n3.on('input', function(msg) {
+          callProcedure.firstCall.args.should.eql([null, 'dbo', 'SAVE_ORDER', [7, 'Gadget', null]]);
+          query.firstCall.args[0].should.match(/INFORMATION_SCHEMA\.PARAMETERS/);
+          query.firstCall.args[1].should.eql(['SAVE_ORDER', 'dbo']);
+          msg.payload.should.eql({
+            resultSets: [[{ line: 1 }]],
+            outputParameters: { Name: 'Widget', Total: 19.5 },
+            returnValue: null
+          });
+          done();
+        });
+        n2.receive({ payload: { parameters: { name: 'Gadget', ID: 7 } } });
+      });
+    });
+
+    it('should reject missing, unknown and mistyped named parameters', function(done) {
+      const callProcedure = sinon.stub().resolves([]);
+      loadProcedure({}, { query: sinon.stub().resolves(metadata), callProcedure: callProcedure }, function(n2) {
+        const codes = new Set();
+        n2.on('call:error', function(call) {
+          if (codes.size === 3) {
+            return;
+          }
+          codes.add(call.args[0].code);
+          if (codes.size === 3) {
+            Array.from(codes).should.eql(['ODBC_MISSING_PARAMETER', 'ODBC_UNKNOWN_PARAMETER', 'ODBC_INVALID_PARAMETER']);
+            callProcedure.called.should.be.false();
+            done();
+          }
+        });
+        n2.receive({ payload: { parameters: { name: 'Gadget' } } });
+        n2.receive({ payload: { parameters: { id: 1, colour: 'red' } } });
+        n2.receive({ payload: { parameters: { id: 'one' } } });
+      });
+    });
+
+    it('should roll back the message transaction when the named parameters are rejected', function(done) {
+      const flow = [
+        { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+        { id: 'n4', type: 'odbc-pooling-transaction', connection: 'n1', mode: 'begin', wires: [['n2']] },
+        { id: 'n2', type: 'odbc-pooling-procedure', connection: 'n1', schema: 'dbo', procedure: 'SAVE_ORDER' }
+      ];
+      helper.load(odbcNode, flow, function() {
+        const n1 = helper.getNode('n1');
+        const n2 = helper.getNode('n2');
+        const callProcedure = sinon.stub().resolves([]);
+        const connection = {
+          beginTransaction: sinon.stub().resolves(),
+          commit: sinon.stub().resolves(),
+          rollback: sinon.stub().resolves(),
+          query: sinon.stub().resolves(metadata),
+          callProcedure: callProcedure,
+          close: sinon.stub().resolves()
+        };
+        n1.pool = { connect: sinon.stub().resolves(connection) };
+        n2.once('call:error', function(call) {
+          const error = call.args[0];
+          setImmediate(function() {
+            try {
+              error.code.should.equal('ODBC_MISSING_PARAMETER');
+              connection.rollback.calledOnce.should.be.true();
+              callProcedure.called.should.be.false();
+              n1.transactions.size.should.equal(0);
+              done();
+            } catch (err) {
+              done(err);
+            }
+          });
+        });
+        helper.getNode('n4').receive({ payload: { parameters: { name: 'Gadget' } } });
+      });
+    });
+
+    it('should fall back to the DB2 catalog and key outputs by position without metadata', function(done) {
+      const result = [];
+      result.parameters = [5, 10];
+      const query = sinon.stub();
+      query.onFirstCall().rejects(new Error('Invalid object name INFORMATION_SCHEMA.PARAMETERS'));
+      query.onSecondCall().resolves([]);
+      loadProcedure({ resultMode: 'procedure' }, { query: query, callProcedure: sinon.stub().resolves(result) }, function(n2, n3) {
+        n3.on('input', function(msg) {
+          query.secondCall.args[0].should.match(/SYSIBM\.SQLPROCEDURECOLS/);
+          msg.payload.should.eql({ resultSets: [[]], outputParameters: { 1: 5, 2: 10 }, returnValue: null });
+          done();
+        });
+        n2.receive({ payload: { parameters: [5, null] } });
+      });
+    });
+  });
+
+  describe('ODBC prepared statement cache', function() {
+    function fakeStatement() {
+      return {
+        prepare: sinon.stub().resolves(),
+        bind: sinon.stub().resolves(),
+        execute: sinon.stub().resolves(odbcResult([{ ONE: 1 }])),
+        close: sinon.stub().resolves()
+      };
+    }
+
+    function loadCachedQuery(cacheSize, callback) {
+      loadFlow({ statementCacheSize: cacheSize }, {}, [], function(n1, n2, n3) {
+        const statements = [];
+        const connection = {
+          query: sinon.stub().rejects(new Error('query() should not be used')),
+          createStatement: sinon.stub().callsFake(function() {
+            statements.push(fakeStatement());
+            return Promise.resolve(statements[statements.length - 1]);
+          }),
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+        callback(n2, n3, connection, statements);
+      });
+    }
+
+    it('should prepare a statement once and rebind it for later messages', function(done) {
+      loadCachedQuery(10, function(n2, n3, connection, statements) {
+        const select = { query: 'SELECT * FROM t WHERE id = ?', parameters: [1] };
+        sendInTurn(n2, n3, [{ payload: select }, { payload: Object.assign({}, select, { parameters: [2] }) }], function() {
+          connection.createStatement.calledOnce.should.be.true();
+          statements[0].prepare.calledOnceWith('SELECT * FROM t WHERE id = ?').should.be.true();
+          statements[0].bind.secondCall.args[0].should.eql([2]);
+          statements[0].execute.calledTwice.should.be.true();
+          n2.poolNode.getMetrics().statementCache.should.eql({ size: 10, hits: 1, misses: 1, evictions: 0 });
+          done();
+        });
+      });
+    });
+
+    it('should evict the least recently used statement and drop the cache on discard', function(done) {
+      loadCachedQuery(1, function(n2, n3, connection, statements) {
+        sendInTurn(n2, n3, [{ payload: { query: 'SELECT 1' } }, { payload: { query: 'SELECT 2' } }], function() {
+          statements[0].close.calledOnce.should.be.true();
+          connection.odbcPoolingStatements.size.should.equal(1);
+          n2.poolNode.getMetrics().statementCache.evictions.should.equal(1);
+          n2.poolNode.discardConnection(connection).then(function() {
+            should.not.exist(connection.odbcPoolingStatements);
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('should close a statement that fails instead of caching it', function(done) {
+      loadCachedQuery(10, function(n2, n3, connection, statements) {
+        connection.createStatement = sinon.stub().callsFake(function() {
+          const statement = fakeStatement();
+          statement.execute.rejects(new Error('Deadlock'));
+          statements.push(statement);
+          return Promise.resolve(statement);
+        });
+        n2.once('call:error', function() {
+          statements[0].close.calledOnce.should.be.true();
+          connection.odbcPoolingStatements.size.should.equal(0);
+          done();
+        });
+        n2.receive({ payload: { query: 'UPDATE t SET a = 1' } });
+      });
+    });
+  });
+
+  describe('ODBC statement guard', function() {
+    function loadGuarded(poolConfig, queryConfig, callback) {
+      loadFlow(poolConfig, queryConfig, [], function(n1, n2, n3) {
+        // Keep the stub: checkout wraps connection.query
+        const query = sinon.stub().resolves(odbcResult([{ ONE: 1 }]));
+        const connection = { query: query, close: sinon.stub().resolves() };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+        callback(n2, n3, query, connection);
+      });
+    }
+
+    it('should reject batches, hidden writes and statement types that are not allowed', function(done) {
+      loadGuarded({ allowedStatements: 'SELECT, WITH' }, {}, function(n2, n3, query, connection) {
+        const rejected = [
+          'SELECT 1; DROP TABLE t',
+          'DELETE FROM t',
+          'WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d',
+          'SELECT * INTO copy FROM t',
+          'SELECT 1 /*! ; DROP TABLE t */',
+          "SELECT 'unterminated",
+          "SELECT 1 # '\n; DROP TABLE t; -- '",
+          "SELECT 'x\\''; DROP TABLE t; -- '",
+          'SELECT * FROM #t; DROP TABLE t',
+          "SELECT $$'$$; DROP TABLE t; SELECT $$'$$",
+          "SELECT $a$'$a$; DELETE FROM t; SELECT $a$'$a$",
+          'SELECT 1--1; DROP TABLE t',
+          "SELECT 1--1 INTO OUTFILE '/tmp/x'"
+        ];
+        const errors = [];
+        n2.on('call:error', function(call) {
+          if (errors.indexOf(call.args[0]) === -1) {
+            call.args[0].code.should.equal('ODBC_STATEMENT_REJECTED');
+            errors.push(call.args[0]);
+          }
+        });
+        n3.on('input', function() {
+          errors.should.have.length(rejected.length);
+          errors[0].message.should.equal('Statement rejected: multiple statements are not allowed');
+          query.calledOnce.should.be.true();
+          query.firstCall.args[0].should.equal("SELECT 'a; DELETE' AS t; -- DROP TABLE t");
+          done();
+        });
+        rejected.forEach(function(query) {
+          n2.receive({ payload: { query: query } });
+        });
+        setTimeout(function() {
+          n2.receive({ payload: { query: "SELECT 'a; DELETE' AS t; -- DROP TABLE t" } });
+        }, 50);
+      });
+    });
+
+    it('should reject SQL from the payload when payload queries are not allowed', function(done) {
+      loadGuarded({}, { query: 'SELECT * FROM t WHERE id = ?', allowPayloadQuery: false }, function(n2, n3, query, connection) {
+        n2.once('call:error', function(call) {
+          call.args[0].code.should.equal('ODBC_STATEMENT_REJECTED');
+          n2.receive({ payload: { parameters: [1] } });
+        });
+        n3.on('input', function() {
+          query.calledOnce.should.be.true();
+          query.firstCall.args.slice(0, 2).should.eql(['SELECT * FROM t WHERE id = ?', [1]]);
+          done();
+        });
+        n2.receive({ payload: { query: 'DELETE FROM t' } });
+      });
+    });
+
+    it('should make each connection read-only once before its first use', function(done) {
+      const readOnly = 'SET SESSION CHARACTERISTICS AS TRANSACTION READ ONLY';
+      loadGuarded({ readOnlyStatement: readOnly }, { query: 'SELECT 1' }, function(n2, n3, query, connection) {
+        let count = 0;
+        n3.on('input', function() {
+          count += 1;
+          if (count === 1) {
+            n2.receive({ payload: {} });
+            return;
+          }
+          query.callCount.should.equal(3);
+          query.firstCall.args[0].should.equal(readOnly);
+          connection.odbcPoolingReadOnly.should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+
+  describe('ODBC result conversion', function() {
+    function typedResult() {
+      return odbcResult([{ ORDER_ID: BigInt('9007199254740993'), TOTAL: 12.5, PLACED_AT: '2024-03-01 10:15:00.250', SHIP_DATE: '2024-03-02', SIGNATURE: new Uint8Array([1, 2, 3]).buffer }], {
+        columns: [
+          { name: 'ORDER_ID', dataType: -5 },
+          { name: 'TOTAL', dataType: 3, decimalDigits: 2 },
+          { name: 'PLACED_AT', dataType: 93 },
+          { name: 'SHIP_DATE', dataType: 91 },
+          { name: 'SIGNATURE', dataType: -3 }
+        ]
+      });
+    }
+
+    function loadConverting(nodeConfig, result, callback) {
+      loadFlow({}, nodeConfig, [], function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().resolves({
+          query: sinon.stub().resolves(result),
+          callProcedure: sinon.stub().resolves(result),
+          close: sinon.stub().resolves()
+        }) };
+        callback(n2, n3);
+      });
+    }
+
+    it('should convert values by column type and camelCase column names', function(done) {
+      const query = {
+        type: 'odbc-pooling-query', query: 'SELECT * FROM orders', resultMode: 'envelope',
+        decimalAs: 'string', bigintAs: 'string', timestampAs: 'iso', timezone: '+02:00', binaryAs: 'base64', columnCase: 'camel'
+      };
+      loadConverting(query, typedResult(), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.rows.should.eql([{
+            orderId: '9007199254740993',
+            total: '12.50',
+            placedAt: '2024-03-01T08:15:00.250Z',
+            shipDate: '2024-03-02',
+            signature: 'AQID'
+          }]);
+          msg.payload.columns.map(column => column.name).should.eql(['orderId', 'total', 'placedAt', 'shipDate', 'signature']);
+          msg.payload.count.should.equal(1);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should apply the same conversion on the procedure node', function(done) {
+      const procedure = { type: 'odbc-pooling-procedure', procedure: 'LIST_ORDERS', resultMode: 'first', timestampAs: 'date', binaryAs: 'buffer', columnCase: 'lower' };
+      loadConverting(procedure, typedResult(), function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.have.keys('order_id', 'total', 'placed_at', 'ship_date', 'signature');
+          (typeof msg.payload.order_id).should.equal('bigint');
+          msg.payload.placed_at.should.be.an.instanceOf(Date);
+          msg.payload.placed_at.toISOString().should.equal('2024-03-01T10:15:00.250Z');
+          msg.payload.ship_date.toISOString().should.equal('2024-03-02T00:00:00.000Z');
+          Buffer.isBuffer(msg.payload.signature).should.be.true();
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should leave results untouched by default', function(done) {
+      const result = typedResult();
+      loadConverting({ type: 'odbc-pooling-query', query: 'SELECT * FROM orders' }, result, function(n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload.should.equal(result);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+  });
+
+  describe('ODBC result cache', function() {
+    function loadCaching(extraNodes, callback) {
+      const cached = { query: 'SELECT name FROM products WHERE id = ?', cacheTtl: 60, cacheTags: 'products' };
+      loadFlow({}, cached, extraNodes, function(n1, n2, n3) {
+        const query = sinon.stub().resolves(odbcResult([{ name: 'Widget' }]));
+        n2.poolNode.pool = { connect: sinon.stub().callsFake(function() {
+          return Promise.resolve({ query: query, close: sinon.stub().resolves() });
+        }) };
+        callback(n2, n3, query);
+      });
+    }
+
+    it('should answer repeated queries from the cache unless msg.cache is false', function(done) {
+      loadCaching([], function(n2, n3, query) {
+        const messages = [{ payload: { parameters: [1] } }, { payload: { parameters: [1] } }, { payload: { parameters: [2] } }, { payload: { parameters: [1] }, cache: false }];
+        sendInTurn(n2, n3, messages, function(outputs) {
+          outputs.map(msg => msg.cached).should.eql([false, true, false, undefined]);
+          Array.from(outputs[1].payload).should.eql([{ name: 'Widget' }]);
+          outputs[1].payload.count.should.equal(1);
+          outputs[1].payload.should.not.equal(outputs[0].payload);
+          query.callCount.should.equal(3);
+          n2.poolNode.pool.connect.callCount.should.equal(3);
+          n2.status.lastCall.args[0].text.should.endWith(', 1 cached');
+          done();
+        });
+      });
+    });
+
+    it('should clear tagged caches after a write and on a control message', function(done) {
+      const writer = [{ id: 'n4', type: 'odbc-pooling-query', connection: 'n1', query: 'UPDATE products SET name = ? WHERE id = 1', invalidateTags: 'products', wires: [['n5']] }, { id: 'n5', type: 'helper' }];
+      loadCaching(writer, function(n2, n3, query) {
+        const n4 = helper.getNode('n4');
+        n4.poolNode.pool = n2.poolNode.pool;
+        const read = { payload: { parameters: [1] } };
+        n2.receive(read);
+        n3.once('input', function() {
+          n2.resultCache.entries.size.should.equal(1);
+          helper.getNode('n5').once('input', function() {
+            n2.resultCache.entries.size.should.equal(0);
+            sendInTurn(n2, n3, [{ payload: { parameters: [1] } }], function() {
+              n2.resultCache.entries.size.should.equal(1);
+              n2.receive({ cacheInvalidate: true });
+              setTimeout(function() {
+                n2.resultCache.entries.size.should.equal(0);
+                query.callCount.should.equal(3);
+                done();
+              }, 20);
+            });
+          });
+          n4.receive({ payload: { parameters: ['Gadget'] } });
+        });
+      });
+    });
+
+    it('should evict the least recently used results beyond the entry limit', function(done) {
+      loadCaching([], function(n2, n3) {
+        n2.resultCache.maxEntries = 2;
+        const messages = [1, 2, 1, 3].map(id => ({ payload: { parameters: [id] } }));
+        sendInTurn(n2, n3, messages, function() {
+          Array.from(n2.resultCache.entries.keys()).map(key => JSON.parse(key)[1][0]).should.eql([1, 3]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('ODBC script node', function() {
+    function loadScript(nodeConfig, query, callback) {
+      const script = Object.assign({ type: 'odbc-pooling-script', wires: [['n3'], ['n4']] }, nodeConfig);
+      loadFlow({}, script, [{ id: 'n4', type: 'helper' }], function(n1, n2, n3) {
+        const connection = {
+          query: query,
+          beginTransaction: sinon.stub().resolves(),
+          commit: sinon.stub().resolves(),
+          rollback: sinon.stub().resolves(),
+          close: sinon.stub().resolves()
+        };
+        n2.poolNode.pool = { connect: sinon.stub().resolves(connection) };
+        callback(n2, n3, helper.getNode('n4'), connection);
+      });
+    }
+
+    it('should split on semicolons outside literals and comments and report each statement', function(done) {
+      const script = "INSERT INTO notes VALUES ('a;b'); -- done; really\n" +
+        "/* block; comment */ SELECT \"odd;name\" FROM notes;\n" +
+        "CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql;\n;";
+      const query = sinon.stub();
+      query.onCall(0).resolves(odbcResult([], { count: 1 }));
+      query.onCall(1).resolves(odbcResult([{ 'odd;name': 'x' }]));
+      query.onCall(2).resolves(odbcResult([], { count: 0 }));
+      loadScript({ script: script }, query, function(n2, n3) {
+        n3.on('input', function(msg) {
+          query.args.map(args => args[0]).should.eql([
+            "INSERT INTO notes VALUES ('a;b')",
+            "-- done; really\n/* block; comment */ SELECT \"odd;name\" FROM notes",
+            'CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql'
+          ]);
+          msg.payload.statements.map(entry => entry.count).should.eql([1, 1, 0]);
+          msg.payload.statements[1].rows.should.eql([{ 'odd;name': 'x' }]);
+          msg.payload.failed.should.eql([]);
+          done();
+        });
+        n2.receive({ payload: 'ignored' });
+      });
+    });
+
+    it('should honour backslash-escaped quotes and # comments only with MySQL syntax', function(done) {
+      const script = "INSERT INTO notes VALUES ('it\\'s; fine'); # done; really\n" +
+        "INSERT INTO notes VALUES (\"say \\\"hi;\\\"\", 'C:\\\\');\n" +
+        'DELETE FROM notes';
+      const query = sinon.stub().resolves(odbcResult([], { count: 1 }));
+      loadScript({ script: script, mysqlSyntax: true }, query, function(n2, n3) {
+        n3.on('input', function() {
+          query.args.map(args => args[0]).should.eql([
+            "INSERT INTO notes VALUES ('it\\'s; fine')",
+            "# done; really\nINSERT INTO notes VALUES (\"say \\\"hi;\\\"\", 'C:\\\\')",
+            'DELETE FROM notes'
+          ]);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should treat backslashes as ordinary characters by default', function(done) {
+      const script = "INSERT INTO p VALUES ('C:\\'); INSERT INTO p VALUES ('D:\\');";
+      const query = sinon.stub().resolves(odbcResult([], { count: 1 }));
+      loadScript({ script: script }, query, function(n2, n3) {
+        n3.on('input', function() {
+          query.args.map(args => args[0]).should.eql([
+            "INSERT INTO p VALUES ('C:\\')",
+            "INSERT INTO p VALUES ('D:\\')"
+          ]);
+          done();
+        });
+        n2.receive({ payload: {} });
+      });
+    });
+
+    it('should roll back the transaction and report the failing statement index', function(done) {
+      const query = sinon.stub();
+      query.onCall(0).resolves(odbcResult([], { count: 1 }));
+      query.onCall(1).rejects(new Error('duplicate key'));
+      const config = { delimiter: 'go', transaction: true, errorOutput: true, outputs: 2 };
+      loadScript(config, query, function(n2, n3, n4, connection) {
+        n4.on('input', function(msg) {
+          connection.beginTransaction.callCount.should.equal(1);
+          connection.rollback.callCount.should.equal(1);
+          connection.commit.callCount.should.equal(0);
+          query.callCount.should.equal(2);
+          msg.error.statementIndex.should.equal(1);
+          msg.error.statement.should.equal("INSERT INTO t VALUES (1)");
+          msg.payload.failed.should.eql([1]);
+          msg.payload.statements.should.have.length(2);
+          done();
+        });
+        n2.receive({ payload: "UPDATE t SET go = 1\ngo\nINSERT INTO t VALUES (1)\n  GO  \nDELETE FROM t" });
+      });
+    });
+
+    it('should run the remaining statements after a failure when configured', function(done) {
+      const query = sinon.stub();
+      query.onCall(0).rejects(new Error('no such table'));
+      query.onCall(1).resolves(odbcResult([], { count: 2 }));
+      loadScript({ script: 'DROP TABLE old @ UPDATE t SET a = \'@\' @', delimiter: 'custom', customDelimiter: '@', continueOnError: true }, query, function(n2, n3) {
+        n3.on('input', function(msg) {
+          query.args.map(args => args[0]).should.eql(['DROP TABLE old', "UPDATE t SET a = '@'"]);
+          msg.payload.failed.should.eql([0]);
+          msg.payload.statements[0].error.message.should.equal('no such table');
+          msg.payload.statements[1].count.should.equal(2);
+          n2.status.lastCall.args[0].should.have.properties({ fill: 'yellow', text: 'ran 2 statements, 1 failed' });
+          done();
+        });
+        n2.receive({});
+      });
+    });
+  });
+
+  describe('ODBC audit trail', function() {
+    function loadAudited(poolConfig, auditConfig, query, callback) {
+      const audit = [Object.assign({ id: 'n4', type: 'odbc-pooling-audit', wires: [['n5']] }, auditConfig), { id: 'n5', type: 'helper' }];
+      loadFlow(poolConfig, { name: 'orders', query: 'SELECT * FROM orders WHERE site = ?' }, audit, function(n1, n2, n3) {
+        n2.poolNode.pool = { connect: sinon.stub().resolves({ query: query, close: sinon.stub().resolves() }) };
+        callback(n2, n3, helper.getNode('n5'));
+      });
+    }
+
+    it('should send an audit record with redacted parameters to audit nodes', function(done) {
+      const query = sinon.stub().resolves(odbcResult([{ id: 1 }, { id: 2 }]));
+      loadAudited({}, { connection: 'n1' }, query, function(n2, n3, n5) {
+        n5.on('input', function(msg) {
+          msg.topic.should.equal('odbc-pooling-query');
+          msg.payload.should.have.properties({
+            statement: 'SELECT * FROM orders WHERE site = ?',
+            parameters: ['[redacted]'],
+            msgId: 'm1',
+            rows: 2,
+            affected: 2,
+            error: null,
+            slow: false
+          });
+          msg.payload.source.should.eql({ id: 'n2', type: 'odbc-pooling-query', name: 'orders' });
+          msg.payload.pool.id.should.equal('n1');
+          msg.payload.duration.should.be.a.Number();
+          done();
+        });
+        n2.receive({ _msgid: 'm1', payload: { parameters: ['north'] } });
+      });
+    });
+
+    it('should warn about slow statements and mark them yellow', function(done) {
+      const query = sinon.stub().callsFake(function() {
+        return new Promise(resolve => setTimeout(() => resolve(odbcResult([])), 30));
+      });
+      loadAudited({ slowQueryThreshold: 10 }, { filter: 'slow' }, query, function(n2, n3, n5) {
+        n5.on('input', function(msg) {
+          msg.payload.slow.should.be.true();
+          msg.payload.duration.should.be.aboveOrEqual(10);
+          n3.once('input', function() {
+            n2.warn.lastCall.args[0].should.startWith('Slow statement took');
+            n2.status.lastCall.args[0].should.have.properties({ fill: 'yellow' });
+            n2.status.lastCall.args[0].text.should.endWith(', slow');
+            done();
+          });
+        });
+        n2.receive({ payload: { parameters: ['north'] } });
+      });
+    });
+
+    it('should write failed statements with parameter values to the log', function(done) {
+      const error = new Error('[odbc] Error executing the sql statement');
+      error.odbcErrors = [{ state: '42S02', code: 208, message: 'Invalid object name' }];
+      const query = sinon.stub().rejects(error);
+      loadAudited({ auditLevel: 'info', auditParameters: 'values' }, { filter: 'errors' }, query, function(n2, n3, n5) {
+        n5.on('input', function(msg) {
+          msg.payload.should.have.properties({ parameters: ['north'], error: 'Invalid object name', sqlState: '42S02', rows: 0 });
+          const line = n2.poolNode.log.lastCall.args[0];
+          line.should.startWith('audit ');
+          JSON.parse(line.slice(6)).parameters.should.eql(['north']);
+          done();
+        });
+        n2.receive({ payload: { parameters: ['north'] } });
+      });
+    });
+  });
+
+  describe('ODBC pool failover', function() {
+    const odbc = require('odbc');
+
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    function unreachable(state) {
+      const error = new Error('[odbc] Error connecting to the database');
+      error.odbcErrors = [{ state: state, code: 0, message: 'Server not reachable' }];
+      return error;
+    }
+
+    function targetPool(query) {
+      const connection = { query: query, close: sinon.stub().resolves(), nativeClose: sinon.stub().resolves() };
+      return { connect: sinon.stub().resolves(connection), close: sinon.stub().resolves(), connection: connection };
+    }
+
+    function loadFailover(poolConfig, callback) {
+      const failover = { connectionString: 'DSN=primary', failoverConnectionStrings: 'DSN=secondary\nDSN=tertiary', failbackInterval: 0 };
+      loadFlow(Object.assign(failover, poolConfig), { query: 'SELECT 1' }, [], callback);
+    }
+
+    it('should open the pool on the next target when the primary cannot be reached', function(done) {
+      const secondary = targetPool(sinon.stub().resolves(odbcResult([{ one: 1 }])));
+      const poolStub = sinon.stub(odbc, 'pool');
+      poolStub.onCall(0).rejects(unreachable('08001'));
+      poolStub.onCall(1).resolves(secondary);
+      loadFailover({}, function(n1, n2, n3) {
+        n3.on('input', function(msg) {
+          poolStub.args.map(args => args[0].connectionString).should.eql(['DSN=primary', 'DSN=secondary']);
+          msg.odbcTarget.should.eql({ index: 1, name: 'secondary 1' });
+          n2.status.lastCall.args[0].text.should.equal('ready (0) on secondary 1');
+          n1.getMetrics().events.failovers.should.equal(1);
+          n1.getMetrics().target.should.eql({ index: 1, name: 'secondary 1', count: 3 });
+          done();
+        });
+        n2.receive({});
+      });
+    });
+
+    it('should rebuild the pool on the next target when checkouts fail with a connectivity error', function(done) {
+      const primary = { connect: sinon.stub().rejects(unreachable('08S01')), close: sinon.stub().resolves() };
+      const secondary = targetPool(sinon.stub().resolves(odbcResult([])));
+      const poolStub = sinon.stub(odbc, 'pool').resolves(secondary);
+      loadFailover({}, function(n1, n2, n3) {
+        n1.pool = primary;
+        n3.on('input', function(msg) {
+          primary.close.calledOnce.should.be.true();
+          poolStub.firstCall.args[0].connectionString.should.equal('DSN=secondary');
+          msg.odbcTarget.index.should.equal(1);
+
+          // Errors other than connectivity errors are not a reason to fail over
+          const denied = new Error('[odbc] Error connecting to the database');
+          denied.odbcErrors = [{ state: '28000', code: 18456, message: 'Login failed' }];
+          n1.pool.connect = sinon.stub().rejects(denied);
+          n2.once('call:error', function() {
+            poolStub.callCount.should.equal(1);
+            n1.targetIndex.should.equal(1);
+            done();
+          });
+          n2.receive({});
+        });
+        n2.receive({});
+      });
+    });
+
+    it('should fail back to the primary once it answers again', function(done) {
+      const primary = targetPool(sinon.stub().resolves(odbcResult([])));
+      const secondary = targetPool(sinon.stub().resolves(odbcResult([])));
+      const poolStub = sinon.stub(odbc, 'pool');
+      poolStub.onCall(0).rejects(unreachable('HYT00'));
+      poolStub.onCall(1).resolves(secondary);
+      poolStub.onCall(2).resolves(primary);
+      const probe = { close: sinon.stub().resolves() };
+      const connectStub = sinon.stub(odbc, 'connect').resolves(probe);
+      loadFailover({ loginTimeout: 5 }, function(n1) {
+        n1.connect().then(function(connection) {
+          n1.targetIndex.should.equal(1);
+          return n1.probePrimary().then(function() {
+            connectStub.firstCall.args[0].should.eql({ connectionString: 'DSN=primary', loginTimeout: 5 });
+            probe.close.calledOnce.should.be.true();
+            secondary.close.calledOnce.should.be.true();
+            n1.targetIndex.should.equal(0);
+            n1.getMetrics().events.failbacks.should.equal(1);
+            // The connection still out from the secondary is closed instead of returned
+            return connection.close();
+          }).then(function() {
+            connection.nativeClose.calledOnce.should.be.true();
+            secondary.connection.odbcPoolingOriginals.close.called.should.be.false();
+            done();
+          });
+        }).catch(done);
+      });
+    });
+  });
+
+  describe('ODBC read replicas', function() {
+    const odbc = require('odbc');
+
+    afterEach(function() {
+      sinon.restore();
+    });
+
+    function namedPool(name, query) {
+      const connection = { name: name, query: query || sinon.stub().resolves(odbcResult([{ from: name }])), close: sinon.stub().resolves() };
+      return { connect: sinon.stub().resolves(connection), close: sinon.stub().resolves(), connection: connection };
+    }
+
+    function loadReplicated(pools, poolConfig, callback) {
+      const replicated = { connectionString: 'DSN=primary', replicaConnectionStrings: 'DSN=replica1\nDSN=replica2' };
+      const poolStub = sinon.stub(odbc, 'pool').callsFake(config => Promise.resolve(pools[config.connectionString]));
+      loadFlow(Object.assign(replicated, poolConfig), { query: 'SELECT * FROM orders' }, [], function(n1, n2, n3) {
+        n1.pool = pools['DSN=primary'];
+        callback(n1, n2, n3, poolStub);
+      });
+    }
+
+    it('should spread reads over the replicas and keep writes on the primary', function(done) {
+      const pools = { 'DSN=primary': namedPool('primary'), 'DSN=replica1': namedPool('replica1'), 'DSN=replica2': namedPool('replica2') };
+      loadReplicated(pools, {}, function(n1, n2, n3, poolStub) {
+        const messages = [{}, {}, {}, { payload: { query: 'UPDATE orders SET done = 1' } }, { route: 'primary' }, { payload: { query: 'SELECT * FROM orders FOR UPDATE' } }];
+        sendInTurn(n2, n3, messages, function(outputs) {
+          outputs.map(msg => msg.payload[0] ? msg.payload[0].from : 'primary').should.eql(['replica1', 'replica2', 'replica1', 'primary', 'primary', 'primary']);
+          outputs[1].odbcTarget.should.eql({ index: 1, name: 'replica 2', replica: true });
+          should.not.exist(outputs[4].odbcTarget);
+          poolStub.callCount.should.equal(2);
+          n1.getMetrics().replicas.map(replica => replica.checkouts).should.eql([2, 1]);
+          done();
+        });
+      });
+    });
+
+    it('should skip failed replicas and fall back to the primary when none is available', function(done) {
+      const pools = { 'DSN=primary': namedPool('primary'), 'DSN=replica1': namedPool('replica1'), 'DSN=replica2': namedPool('replica2') };
+      pools['DSN=replica1'].connect = sinon.stub().rejects(new Error('replica1 down'));
+      loadReplicated(pools, {}, function(n1, n2, n3) {
+        sendInTurn(n2, n3, [{}, {}], function(outputs) {
+          outputs.map(msg => msg.payload[0].from).should.eql(['replica2', 'replica2']);
+          pools['DSN=replica2'].connect = sinon.stub().rejects(new Error('replica2 down'));
+          n1.replicas[1].pool = pools['DSN=replica2'];
+          n1.replicas[1].healthy = false;
+          n1.replicas[1].downUntil = 0;
+          n3.once('input', function(msg) {
+            msg.payload[0].from.should.equal('primary');
+            n1.getMetrics().events.readFallbacks.should.equal(1);
+            n1.getMetrics().replicas.map(replica => replica.healthy).should.eql([false, false]);
+            pools['DSN=replica1'].connect.callCount.should.equal(1);
+            n1.warn.args.filter(args => /Read replica 1 failed/.test(args[0])).should.have.length(1);
+            done();
+          });
+          n2.receive({});
+        });
+      });
+    });
+
+    it('should validate replica connections and make them read-only like the primary\'s', function(done) {
+      const readOnly = 'SET SESSION CHARACTERISTICS AS TRANSACTION READ ONLY';
+      const pools = { 'DSN=primary': namedPool('primary'), 'DSN=replica1': namedPool('replica1'), 'DSN=replica2': namedPool('replica2') };
+      const query = pools['DSN=replica1'].connection.query;
+      loadReplicated(pools, { readOnlyStatement: readOnly, validation: 'query', validateAfter: 0 }, function(n1, n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload[0].from.should.equal('replica1');
+          query.args.map(args => args[0]).should.eql([n1.validationQuery, readOnly, 'SELECT * FROM orders']);
+          pools['DSN=replica1'].connection.odbcPoolingReadOnly.should.be.true();
+          n1.getMetrics().checkoutWait.count.should.equal(1);
+          done();
+        });
+        n2.receive({ route: 'read', payload: {} });
+      });
+    });
+
+    it('should take a replica out of rotation after a connection error and retry the read elsewhere', function(done) {
+      const broken = new Error('[odbc] Error executing the sql statement');
+      broken.odbcErrors = [{ state: '08S01', code: 0, message: 'Communication link failure' }];
+      const pools = {
+        'DSN=primary': namedPool('primary'),
+        'DSN=replica1': namedPool('replica1', sinon.stub().rejects(broken)),
+        'DSN=replica2': namedPool('replica2')
+      };
+      pools['DSN=replica1'].connection.nativeClose = sinon.stub().resolves();
+      loadReplicated(pools, {}, function(n1, n2, n3) {
+        n3.on('input', function(msg) {
+          msg.payload[0].from.should.equal('replica2');
+          msg.odbcTarget.name.should.equal('replica 2');
+          msg.retries.should.equal(1);
+          pools['DSN=replica1'].close.calledOnce.should.be.true();
+          n1.replicas[0].healthy.should.be.false();
+          n1.replicas[0].downUntil.should.be.above(Date.now());
+          done();
+        });
+        n2.receive({});
+      });
+    });
+  });
+
+  describe('ODBC poll node', function() {
+    function loadPoll(node, query, callback) {
+      loadFlow({}, Object.assign({ type: 'odbc-pooling-poll', watermarkColumn: 'id', interval: 3600 }, node), [], function(n1, n2, n3) {
+        n1.pool = { connect: sinon.stub().resolves({ query: query, close: sinon.stub().resolves() }) };
+        callback(n1, n2, n3);
+      });
+    }
+
+    it('should bind the high-water mark, send only newer rows and store the new mark', function(done) {
+      const query = sinon.stub();
+      query.onFirstCall().resolves(odbcResult([{ id: 3 }, { id: 5 }, { id: 4 }]));
+      query.onSecondCall().resolves(odbcResult([{ id: 5 }, { id: 7 }]));
+      loadPoll({ query: 'SELECT * FROM orders WHERE id > :watermark ORDER BY id', initialWatermark: '2' }, query, function(n1, n2, n3) {
+        const outputs = [];
+        n3.on('input', function(msg) {
+          outputs.push(msg);
+          if (outputs.length === 1) {
+            n2.receive({});
+            return;
+          }
+          try {
+            query.firstCall.args[0].should.equal('SELECT * FROM orders WHERE id > ? ORDER BY id');
+            query.firstCall.args[1].should.eql([2]);
+            outputs[0].payload.map(row => row.id).should.eql([3, 5, 4]);
+            outputs[0].watermark.should.equal(5);
+            query.secondCall.args[1].should.eql([5]);
+            outputs[1].payload.should.eql([{ id: 7 }]);
+            setImmediate(function() {
+              n2.context().get('watermark').should.equal(7);
+              done();
+            });
+          } catch (err) {
+            done(err);
+          }
+        });
+        n2.receive({});
+      });
+    });
+
+    it('should compare decimal marks read as strings numerically', function(done) {
+      const query = sinon.stub();
+      query.onFirstCall().resolves(odbcResult([{ price: '9.25' }, { price: '11.00' }, { price: '10.5' }]));
+      query.onSecondCall().resolves(odbcResult([{ price: '11.00' }, { price: '12.75' }]));
+      loadPoll({ query: 'SELECT * FROM prices WHERE price > ?', watermarkColumn: 'price', initialWatermark: '9.25' }, query, function(n1, n2, n3) {
+        const outputs = [];
+        n3.on('input', function(msg) {
+          outputs.push(msg);
+          if (outputs.length === 1) {
+            n2.receive({});
+            return;
+          }
+          try {
+            outputs[0].payload.map(row => row.price).should.eql(['11.00', '10.5']);
+            outputs[0].watermark.should.equal('11.00');
+            query.secondCall.args[1].should.eql(['11.00']);
+            outputs[1].payload.should.eql([{ price: '12.75' }]);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+        n2.receive({});
+      });
+    });
+
+    it('should send one message per row and take the mark from msg.watermark', function(done) {
+      const query = sinon.stub().resolves(odbcResult([{ id: 'B' }, { id: 'C' }, { id: 'A' }]));
+      loadPoll({ query: 'SELECT * FROM events WHERE code > ?', initialWatermark: 'X', output: 'row' }, query, function(n1, n2, n3) {
+        const outputs = [];
+        n3.on('input', function(msg) {
+          outputs.push(msg);
+          if (outputs.length < 2) {
+            return;
+          }
+          try {
+            query.firstCall.args[1].should.eql(['A']);
+            outputs.map(msg => msg.payload.id).should.eql(['B', 'C']);
+            outputs.map(msg => msg.watermark).should.eql(['B', 'C']);
+            done();
+          } catch (err) {
+            done(err);
+          }
+        });
+        n2.receive({ watermark: 'A' });
+      });
+    });
+
+    it('should skip a poll while the previous one runs and reject invalid cron expressions', function(done) {
+      let finish;
+      const query = sinon.stub().returns(new Promise(resolve => { finish = resolve; }));
+      loadPoll({ query: 'SELECT * FROM orders WHERE id > ?', schedule: 'cron', cron: '*/15 8-17 * * 1-5' }, query, function(n1, n2, n3) {
+        should.not.exist(n2.status.args.find(args => args[0].fill === 'red'));
+        n2.poll(null);
+        n2.poll(null).then(function(ran) {
+          ran.should.be.false();
+          n2.status.lastCall.args[0].text.should.match(/previous poll still running \(1\)/);
+          finish(odbcResult([{ id: 1 }]));
+          n3.on('input', function(msg) {
+            try {
+              msg.payload.should.eql([{ id: 1 }]);
+              query.callCount.should.equal(1);
+              helper.unload().then(function() {
+                return helper.load(odbcNode, [
+                  { id: 'n1', type: 'odbc-pooling-pool', connectionString: 'DSN=test' },
+                  { id: 'n4', type: 'odbc-pooling-poll', connection: 'n1', watermarkColumn: 'id', query: 'SELECT 1', schedule: 'cron', cron: '*/15 25 * * *' }
+                ], function() {
+                  const n4 = helper.getNode('n4');
+                  n4.status.lastCall.args[0].fill.should.equal('red');
+                  n4.error.lastCall.args[0].code.should.equal('ODBC_INVALID_SCHEDULE');
+                  done();
+                });
+              }).catch(done);
+            } catch (err) {
+              done(err);
+            }
+          });
+        }).catch(done);
+      });
+    });
+  });
+});